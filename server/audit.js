@@ -0,0 +1,144 @@
+/**
+ * Audit Log
+ * Durable record of logins, commands and session changes as JSON lines
+ * (logs/audit.jsonl in the data directory). The file is rotated by size;
+ * audit.1.jsonl is the newest rotated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE = 'audit.jsonl';
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // Rotate after 5 MB
+const MAX_FILES = 5;                   // Current file + 4 rotated
+const CSV_COLUMNS = ['time', 'type', 'user', 'sid', 'action', 'target', 'status', 'reason', 'latency'];
+
+let logDir = null;
+let currentSize = 0;
+
+/**
+ * Open the audit log
+ * @param {string} dataDir - Directory holding the logs folder
+ */
+function initAudit(dataDir) {
+    logDir = path.join(dataDir, 'logs');
+
+    try {
+        fs.mkdirSync(logDir, { recursive: true });
+        const file = filePath(0);
+        currentSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        console.log(`[Audit] Logging to ${file}`);
+    } catch (e) {
+        console.error('[Audit] Init failed:', e.message);
+        logDir = null;
+    }
+}
+
+/**
+ * Path of the current (0) or a rotated (1..MAX_FILES-1) file
+ */
+function filePath(index) {
+    const name = index === 0 ? AUDIT_FILE : AUDIT_FILE.replace('.jsonl', `.${index}.jsonl`);
+    return path.join(logDir, name);
+}
+
+/**
+ * Shift rotated files up by one and start a new current file
+ */
+function rotate() {
+    const oldest = filePath(MAX_FILES - 1);
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+    for (let i = MAX_FILES - 2; i >= 0; i--) {
+        if (fs.existsSync(filePath(i))) fs.renameSync(filePath(i), filePath(i + 1));
+    }
+    currentSize = 0;
+}
+
+/**
+ * Append an entry
+ * @param {Object} entry - { type, user, sid, action, target, targets, status, reason, latency, ... }
+ */
+function audit(entry) {
+    if (!logDir) return;
+
+    const line = JSON.stringify({ time: Date.now(), ...entry }) + '\n';
+    try {
+        if (currentSize + line.length > MAX_FILE_SIZE) rotate();
+        fs.appendFileSync(filePath(0), line);
+        currentSize += Buffer.byteLength(line);
+    } catch (e) {
+        console.error('[Audit] Write failed:', e.message);
+    }
+}
+
+/**
+ * Check an entry against query filters
+ */
+function matches(entry, filters) {
+    if (filters.type && entry.type !== filters.type) return false;
+    if (filters.user && entry.user !== filters.user) return false;
+    if (filters.camera && entry.target !== filters.camera && !(entry.targets || []).includes(filters.camera)) return false;
+    if (filters.from && entry.time < filters.from) return false;
+    if (filters.to && entry.time > filters.to) return false;
+    return true;
+}
+
+/**
+ * Read entries, newest first
+ * @param {Object} filters - { type, user, camera, from, to (ms), limit }
+ * @returns {Array} Matching entries
+ */
+function queryAudit(filters = {}) {
+    if (!logDir) return [];
+
+    const limit = filters.limit || 500;
+    const results = [];
+
+    for (let i = 0; i < MAX_FILES && results.length < limit; i++) {
+        const file = filePath(i);
+        if (!fs.existsSync(file)) continue;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        for (let j = lines.length - 1; j >= 0 && results.length < limit; j--) {
+            if (!lines[j]) continue;
+            let entry;
+            try {
+                entry = JSON.parse(lines[j]);
+            } catch (e) {
+                continue; // Partial line from a crash
+            }
+            if (matches(entry, filters)) results.push(entry);
+        }
+    }
+    return results;
+}
+
+/**
+ * Convert entries to CSV (time as ISO string)
+ * Text starting with = + - @ (or tab / CR) gets a leading ' so spreadsheets
+ * show user-supplied names as text instead of evaluating them as formulas.
+ */
+function toCsv(entries) {
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(text);
+        if (formula) text = `'${text}`;
+        return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        if (column === 'time') return new Date(entry.time).toISOString();
+        if (column === 'target' && entry.targets) return escape(entry.targets.join(' '));
+        return escape(entry[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+module.exports = {
+    initAudit,
+    audit,
+    queryAudit,
+    toCsv
+};
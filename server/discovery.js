@@ -1,89 +1,489 @@
 /**
  * Multi-Protocol Device Discovery
  * Discovers devices across Panasonic, ONVIF, VISCA, and NDI protocols
+ *
+ * Discovery runs on a schedule (discovery.json) or on demand. Each scan is
+ * diffed against the registry and reported on discoveryEvents:
+ *   'new'     { deviceId, device }
+ *   'changed' { deviceId, device, changes: { field: { from, to } } }
+ *   'gone'    { deviceId, device, lastSeen } - discovered device not seen for staleAfter
+ *   'scan'    { reason, found, added, changed, gone, startedAt, duration }
+ * Devices are matched by hardware ID (see identity.js), so a camera found at a
+ * new address updates its entry. Removed devices go on the ignore list so
+ * later scans do not re-add them.
  */
 
-const { discoverAll } = require('./ptz');
+const EventEmitter = require('events');
+const path = require('path');
+const { discoverAll, getStaticCapabilities, detectCapabilities, identifyDevice } = require('./ptz');
+const { loadRegistry, saveRegistry } = require('./registry');
+const { normalizeMac, findDevice, allocateId, findDuplicates } = require('./identity');
+const { readJson, writeJsonAtomic } = require('./storage');
+
+const CONFIG_FILE = 'discovery.json';
+const DEFAULT_CONFIG = {
+    enabled: true,                       // Scheduled scans (on-demand scans always work)
+    interval: 5 * 60 * 1000,             // Scan every 5 minutes
+    staleAfter: 7 * 24 * 60 * 60 * 1000, // Remove discovered devices unseen for 7 days (0 = never)
+    sweep: false                         // Also check every host of the local subnets (VISCA / NDI)
+};
+const MIN_INTERVAL = 30 * 1000;
+const MAX_INTERVAL = 24 * 60 * 60 * 1000; // Timers overflow past 2^31-1 ms (~24.8 days) and fire at once
+
+// Fields whose change is reported as 'changed'
+const TRACKED_FIELDS = ['ip', 'port', 'protocol', 'xaddr', 'profileToken', 'firmware'];
+
+const discoveryEvents = new EventEmitter();
 
 let discoveredDevices = {};
+let ignoredDevices = {}; // deviceId -> { ip, protocol, name, mac, serial, vendor, endpoint, ignoredAt }
+let configPath = null;
+let config = { ...DEFAULT_CONFIG };
+let timer = null;
+let scanning = null;     // Promise of the running scan
+let lastScan = null;
+let nextScan = null;
+let hooks = {};
+
+/**
+ * Load persisted devices, the ignore list and the discovery schedule
+ * @param {string} dataDir - Directory holding the registry file
+ */
+function initRegistry(dataDir) {
+    try {
+        const registry = loadRegistry(dataDir);
+        // Mutate in place: the exported object is shared by reference
+        Object.assign(discoveredDevices, registry.devices);
+        ignoredDevices = registry.ignored;
+    } catch (e) {
+        console.error('[Discovery] Registry load failed:', e.message);
+    }
+
+    configPath = path.join(dataDir, CONFIG_FILE);
+    config = { ...DEFAULT_CONFIG, ...readJson(configPath, {}) };
+    config.interval = Number.isFinite(config.interval) ? clampInterval(config.interval) : DEFAULT_CONFIG.interval;
+    return discoveredDevices;
+}
+
+function save() {
+    saveRegistry(discoveredDevices, ignoredDevices);
+}
+
+/**
+ * Copy of an object without empty fields (so they do not overwrite known values)
+ */
+function known(fields) {
+    const result = {};
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') result[key] = fields[key];
+    });
+    return result;
+}
+
+/**
+ * Connection settings of a device under its protocol (kept as an alternate endpoint)
+ */
+function endpointOf(device) {
+    return known({ port: device.port, xaddr: device.xaddr, profileToken: device.profileToken });
+}
+
+/**
+ * Names generated before the model was known (replaced by the real model)
+ */
+function isDefaultName(name, ip) {
+    return name === `Camera (${ip})` || name === `Panasonic (${ip})`;
+}
 
 /**
- * Run discovery across all protocols
- * @returns {Object} Dictionary of discovered devices keyed by ID
+ * ID of the ignored device a discovery result matches (same rules as the registry)
  */
-async function autoDiscovery() {
-    console.log('[Discovery] Starting Multi-Protocol Auto Discovery...');
+function findIgnored(info) {
+    const entries = {};
+    Object.keys(ignoredDevices).forEach(id => {
+        entries[id] = { id, ...ignoredDevices[id] };
+    });
+    return findDevice(entries, info);
+}
+
+/**
+ * Run one discovery scan (joins the running scan if there is one)
+ * @param {string} reason - 'schedule' | 'manual' | 'startup'
+ * @returns {Promise<Object>} { found, added: [id], changed: [id], gone: [id] }
+ */
+function runDiscovery(reason = 'manual') {
+    if (!scanning) {
+        scanning = scan(reason).finally(() => {
+            scanning = null;
+        });
+    }
+    return scanning;
+}
+
+async function scan(reason) {
+    console.log(`[Discovery] Starting Multi-Protocol Auto Discovery (${reason})...`);
+    const startedAt = Date.now();
+    const result = { found: 0, added: [], changed: [], gone: [] };
+    const events = [];
 
     try {
-        const devices = await discoverAll();
+        const devices = await discoverAll({ sweep: config.sweep });
+
+        for (const found of devices) {
+            let device = found;
+            if (findIgnored(device)) continue;
 
-        devices.forEach((device) => {
-            // Use MAC or generate ID from IP
-            const id = device.mac || device.ip.replace(/\./g, '');
+            let id = findDevice(discoveredDevices, device);
+            if (!id) {
+                // Unknown so far: read its hardware IDs, it may be a known camera at a new address
+                device = { ...found, ...known(await identifyDevice(found)) };
+                if (findIgnored(device)) continue;
+                id = findDevice(discoveredDevices, device) || allocateId(discoveredDevices, device);
+            }
+            result.found++;
 
-            discoveredDevices[id] = {
+            // Keep user-set names, credentials and manual settings of known devices:
+            // manually added cameras keep their port, discovered ones only take what
+            // the scan actually reported. Known devices keep their protocol; the same
+            // camera answering another protocol is recorded as an alternate endpoint.
+            const existing = discoveredDevices[id];
+            const previous = existing || {};
+            const manual = previous.source === 'manual';
+            const protocol = previous.protocol || device.protocol || 'panasonic';
+            const sameProtocol = device.protocol === protocol;
+            const entry = {
+                ...previous,
                 id: id,
                 ip: device.ip,
-                port: device.port || 80,
-                name: device.name || `Camera (${device.ip})`,
-                protocol: device.protocol || 'panasonic',
-                type: getTypeLabel(device.protocol),
+                port: (manual || !sameProtocol ? previous.port : device.port || previous.port) || 80,
+                name: previous.name && !isDefaultName(previous.name, device.ip) ? previous.name : device.name || previous.name || `Camera (${device.ip})`,
+                protocol,
+                type: getTypeLabel(protocol),
+                source: existing ? existing.source : 'discovery',
                 lastSeen: Date.now(),
                 // ONVIF specific
-                profileToken: device.profileToken,
-                xaddr: device.xaddr,
+                profileToken: (sameProtocol && device.profileToken) || previous.profileToken,
+                xaddr: (sameProtocol && device.xaddr) || previous.xaddr,
+                alternates: sameProtocol ? previous.alternates : { ...previous.alternates, [device.protocol]: endpointOf(device) },
+                // Identity reported by the device (optional)
+                mac: normalizeMac(device.mac) || previous.mac,
+                endpoint: device.endpoint || previous.endpoint,
+                vendor: device.vendor || previous.vendor,
+                model: device.model || previous.model,
+                serial: device.serial || previous.serial,
+                firmware: device.firmware || previous.firmware,
+                network: device.network || previous.network,
                 // Credentials (optional)
-                username: device.username,
-                password: device.password
+                username: previous.username || device.username,
+                password: previous.password || device.password
             };
+            discoveredDevices[id] = entry;
 
-            console.log(`[Discovery] Found: ${discoveredDevices[id].name} (${device.protocol}) at ${device.ip}`);
-        });
+            if (!existing) {
+                result.added.push(id);
+                events.push(['new', { deviceId: id, device: entry }]);
+                console.log(`[Discovery] Found: ${entry.name} (${entry.protocol}) at ${entry.ip}`);
+                continue;
+            }
+
+            const changes = {};
+            TRACKED_FIELDS.forEach(field => {
+                if (existing[field] !== entry[field]) changes[field] = { from: existing[field], to: entry[field] };
+            });
+            if (Object.keys(changes).length > 0) {
+                result.changed.push(id);
+                events.push(['changed', { deviceId: id, device: entry, changes }]);
+                console.log(`[Discovery] Changed: ${entry.name} (${Object.keys(changes).join(', ')})`);
+            }
+            if (changes.ip) console.log(`[Discovery] ${entry.name} moved from ${changes.ip.from} to ${changes.ip.to}`);
+        }
 
-        console.log(`[Discovery] Total devices: ${Object.keys(discoveredDevices).length}`);
-        return discoveredDevices;
+        result.gone = expireStale(events);
+        save();
 
+        // Query capabilities of newly found devices
+        await Promise.all(result.added.map(id => refreshCapabilities(id)));
     } catch (e) {
         console.error('[Discovery] Error:', e);
-        return discoveredDevices;
     }
+
+    lastScan = {
+        reason,
+        found: result.found,
+        added: result.added.length,
+        changed: result.changed.length,
+        gone: result.gone.length,
+        startedAt,
+        duration: Date.now() - startedAt
+    };
+    events.forEach(([name, event]) => discoveryEvents.emit(name, event));
+    discoveryEvents.emit('scan', lastScan);
+
+    console.log(`[Discovery] Total devices: ${Object.keys(discoveredDevices).length}`);
+    return result;
+}
+
+/**
+ * Remove discovered devices not seen for staleAfter
+ * Manually added devices never expire. Last seen is the later of the last
+ * discovery answer and the lastSeen hook (e.g. health probes).
+ * @param {Array} events - Receives ['gone', event] entries
+ * @returns {Array} Removed device IDs
+ */
+function expireStale(events, now = Date.now()) {
+    if (!config.staleAfter) return [];
+
+    const gone = [];
+    Object.values(discoveredDevices).forEach(device => {
+        if (device.source !== 'discovery') return;
+
+        const lastSeen = Math.max(device.lastSeen || 0, hooks.lastSeen ? hooks.lastSeen(device) || 0 : 0);
+        if (now - lastSeen < config.staleAfter) return;
+
+        delete discoveredDevices[device.id];
+        gone.push(device.id);
+        events.push(['gone', { deviceId: device.id, device, lastSeen }]);
+        console.log(`[Discovery] Expired: ${device.name} (last seen ${new Date(lastSeen).toISOString()})`);
+    });
+    return gone;
+}
+
+/**
+ * (Re)start the schedule
+ * When scheduled scans are disabled the timer still expires stale devices.
+ */
+function schedule() {
+    if (timer) clearInterval(timer);
+    timer = setInterval(() => {
+        nextScan = Date.now() + config.interval;
+        if (config.enabled) return runDiscovery('schedule');
+
+        const events = [];
+        if (expireStale(events).length === 0) return;
+        save();
+        events.forEach(([name, event]) => discoveryEvents.emit(name, event));
+    }, config.interval);
+    nextScan = Date.now() + config.interval;
+}
+
+/**
+ * Start scheduled discovery (first scan right away when enabled)
+ * @param {Object} options - Hooks:
+ *   lastSeen(device) -> timestamp the device last answered outside discovery
+ */
+function startDiscovery(options = {}) {
+    hooks = options;
+    schedule();
+    if (config.enabled) runDiscovery('startup');
+    console.log(`[Discovery] Schedule: ${config.enabled ? `every ${config.interval / 1000}s` : 'manual only'}`);
+}
+
+/**
+ * Discovery settings and scan state for the GUI
+ */
+function getDiscoveryStatus() {
+    return {
+        ...config,
+        scanning: Boolean(scanning),
+        lastScan,
+        nextScan: config.enabled ? nextScan : null,
+        ignored: listIgnored(),
+        duplicates: findDuplicates(discoveredDevices)
+    };
+}
+
+function clampInterval(interval) {
+    return Math.min(Math.max(interval, MIN_INTERVAL), MAX_INTERVAL);
+}
+
+/**
+ * Change the schedule; missing or invalid fields keep their value
+ * The interval is clamped to MIN_INTERVAL..MAX_INTERVAL.
+ * @param {Object} changes - { enabled, interval, staleAfter, sweep } (ms)
+ */
+function setDiscoveryConfig(changes) {
+    if (typeof changes.enabled === 'boolean') config.enabled = changes.enabled;
+    if (typeof changes.sweep === 'boolean') config.sweep = changes.sweep;
+
+    const interval = Number(changes.interval);
+    if (changes.interval !== undefined && Number.isFinite(interval)) config.interval = clampInterval(interval);
+
+    const staleAfter = Number(changes.staleAfter);
+    if (changes.staleAfter !== undefined && Number.isFinite(staleAfter) && staleAfter >= 0) config.staleAfter = staleAfter;
+
+    if (configPath) writeJsonAtomic(configPath, config);
+    if (timer) schedule();
+    return getDiscoveryStatus();
+}
+
+/**
+ * Ignored devices (newest first)
+ * @returns {Array} [{ id, ip, protocol, name, ignoredAt }]
+ */
+function listIgnored() {
+    return Object.keys(ignoredDevices)
+        .map(id => ({ id, ...ignoredDevices[id] }))
+        .sort((a, b) => b.ignoredAt - a.ignoredAt);
+}
+
+/**
+ * Let discovery add an ignored device again
+ */
+function unignoreDevice(id) {
+    if (!ignoredDevices[id]) return false;
+
+    delete ignoredDevices[id];
+    save();
+    console.log(`[Discovery] No longer ignoring: ${id}`);
+    return true;
 }
 
 /**
  * Add device manually
+ * A device already in the registry (same hardware ID, or same address without
+ * hardware IDs) is updated in place, keeping its ID, name and presets.
  * @param {Object} deviceInfo - Device configuration
  */
 function addDevice(deviceInfo) {
-    const id = deviceInfo.id || deviceInfo.ip.replace(/\./g, '');
+    const id = deviceInfo.id || findDevice(discoveredDevices, deviceInfo) || allocateId(discoveredDevices, deviceInfo);
+    const existing = discoveredDevices[id];
+
+    // Added again on purpose
+    delete ignoredDevices[id];
+    const ignoredId = findIgnored(deviceInfo);
+    if (ignoredId) delete ignoredDevices[ignoredId];
 
-    discoveredDevices[id] = {
-        id: id,
+    const fields = known({
         ip: deviceInfo.ip,
         port: deviceInfo.port || getDefaultPort(deviceInfo.protocol),
-        name: deviceInfo.name || `Camera (${deviceInfo.ip})`,
+        name: (existing && existing.name) || deviceInfo.name || `Camera (${deviceInfo.ip})`,
         protocol: deviceInfo.protocol || 'panasonic',
         type: getTypeLabel(deviceInfo.protocol),
+        source: 'manual',
         lastSeen: Date.now(),
         username: deviceInfo.username,
-        password: deviceInfo.password
-    };
+        password: deviceInfo.password,
+        // VISCA serial transport (optional): one port drives a daisy chain
+        transport: deviceInfo.transport,
+        serialPath: deviceInfo.serialPath,
+        baudRate: deviceInfo.baudRate,
+        cameraAddress: deviceInfo.cameraAddress,
+        // Identity reported by the device (optional)
+        vendor: deviceInfo.vendor,
+        model: deviceInfo.model,
+        firmware: deviceInfo.firmware,
+        serial: deviceInfo.serial,
+        mac: normalizeMac(deviceInfo.mac),
+        endpoint: deviceInfo.endpoint,
+        // Filled in by refreshCapabilities()
+        capabilities: deviceInfo.capabilities
+    });
+    // Known devices keep their other settings (e.g. credentials, capabilities)
+    discoveredDevices[id] = { ...existing, ...fields, id };
+
+    save();
 
-    console.log(`[Discovery] Manually added: ${deviceInfo.ip} (${deviceInfo.protocol})`);
+    console.log(`[Discovery] ${existing ? 'Updated' : 'Manually added'}: ${deviceInfo.ip || deviceInfo.serialPath} (${deviceInfo.protocol}) as ${id}`);
     return discoveredDevices[id];
 }
 
 /**
  * Remove device
+ * Network devices are put on the ignore list so discovery does not re-add them.
  */
 function removeDevice(id) {
-    if (discoveredDevices[id]) {
+    const device = discoveredDevices[id];
+    if (device) {
         delete discoveredDevices[id];
+        if (device.ip) {
+            ignoredDevices[id] = {
+                ...known({ ip: device.ip, protocol: device.protocol, name: device.name, mac: device.mac, serial: device.serial, vendor: device.vendor, endpoint: device.endpoint }),
+                ignoredAt: Date.now()
+            };
+        }
+        save();
         console.log(`[Discovery] Removed device: ${id}`);
         return true;
     }
     return false;
 }
 
+/**
+ * Merge a duplicate entry into another (same camera under two IDs)
+ * The target keeps its ID, name and settings; the source fills in what the
+ * target lacks, and the connection settings come from the entry seen last.
+ * @returns {Object|null} Merged target, null if either device is unknown
+ * @throws {Error} When the two entries report different MAC addresses
+ */
+function mergeDevices(sourceId, targetId) {
+    const source = discoveredDevices[sourceId];
+    const target = discoveredDevices[targetId];
+    if (!source || !target || sourceId === targetId) return null;
+
+    const sourceMac = normalizeMac(source.mac);
+    const targetMac = normalizeMac(target.mac);
+    if (sourceMac && targetMac && sourceMac !== targetMac) {
+        throw new Error(`Different cameras (MAC ${sourceMac} / ${targetMac})`);
+    }
+
+    const latest = (source.lastSeen || 0) > (target.lastSeen || 0) ? source : target;
+    // Connection settings of the entry seen last, unless it uses another protocol
+    // (the target keeps its protocol; the source's becomes an alternate endpoint)
+    const connection = latest.protocol === target.protocol ? latest : target;
+    const alternates = { ...source.alternates, ...target.alternates };
+    if (source.protocol !== target.protocol) alternates[source.protocol] = endpointOf(source);
+    delete alternates[target.protocol];
+    discoveredDevices[targetId] = {
+        ...source,
+        ...known(target),
+        id: targetId,
+        ip: latest.ip,
+        port: connection.port,
+        xaddr: connection.xaddr,
+        profileToken: connection.profileToken,
+        alternates: Object.keys(alternates).length > 0 ? alternates : undefined,
+        lastSeen: latest.lastSeen,
+        source: source.source === 'discovery' && target.source === 'discovery' ? 'discovery' : 'manual'
+    };
+    delete discoveredDevices[sourceId];
+    save();
+
+    console.log(`[Discovery] Merged ${sourceId} into ${targetId}`);
+    return discoveredDevices[targetId];
+}
+
+/**
+ * Rename device
+ */
+function renameDevice(id, name) {
+    if (!discoveredDevices[id] || !name) return false;
+
+    discoveredDevices[id].name = name;
+    save();
+    return true;
+}
+
+/**
+ * Query a device's capabilities and store them on the device
+ * Unreachable devices keep their last known capabilities (or static defaults).
+ * @returns {Promise<Object|null>} Capability descriptor, null if the device is unknown
+ */
+async function refreshCapabilities(id) {
+    const device = discoveredDevices[id];
+    if (!device) return null;
+
+    try {
+        device.capabilities = await detectCapabilities(device);
+        console.log(`[Discovery] Capabilities detected for ${device.name}`);
+    } catch (e) {
+        console.warn(`[Discovery] Capability detection failed for ${device.name}:`, e.message);
+        if (!device.capabilities) device.capabilities = getStaticCapabilities(device);
+    }
+
+    // Device may have been removed while we were waiting on it
+    if (discoveredDevices[id] === device) save();
+    return device.capabilities;
+}
+
 /**
  * Get default port for protocol
  */
@@ -118,9 +518,18 @@ function getDevices() {
 }
 
 module.exports = {
-    autoDiscovery,
+    discoveryEvents,
+    initRegistry,
+    runDiscovery,
+    startDiscovery,
+    getDiscoveryStatus,
+    setDiscoveryConfig,
+    unignoreDevice,
+    mergeDevices,
     addDevice,
     removeDevice,
+    renameDevice,
+    refreshCapabilities,
     getDevices,
     discoveredDevices
 };
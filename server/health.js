@@ -0,0 +1,138 @@
+/**
+ * Device Health Monitor
+ * Probes every camera on a fixed interval and classifies it:
+ *   online   - answered quickly
+ *   degraded - answered slowly, is in standby, or missed a few probes
+ *   offline  - missed OFFLINE_AFTER probes in a row
+ * Status changes are emitted on healthEvents:
+ *   'change' { deviceId, from, to, health } for every change
+ *   'down' / 'up' when a camera goes offline / comes back
+ */
+
+const EventEmitter = require('events');
+
+const HEALTH_INTERVAL = 10 * 1000; // Probe every camera every 10 seconds
+const DEGRADED_LATENCY = 500;      // Slower answers (ms) count as degraded
+const OFFLINE_AFTER = 3;           // Consecutive failed probes before offline
+
+const healthEvents = new EventEmitter();
+
+// deviceId -> { status, latency, lastSeen, lastCheck, failures, error, power, since }
+const health = new Map();
+let timer = null;
+let running = false;
+let hooks = {};
+
+/**
+ * Classify a device from its tracked state
+ */
+function classify(entry) {
+    if (entry.failures >= OFFLINE_AFTER) return 'offline';
+    if (entry.failures > 0 || entry.latency > DEGRADED_LATENCY || entry.power === 'standby') return 'degraded';
+    return 'online';
+}
+
+/**
+ * Record a probe result
+ * @param {string} deviceId - Device ID
+ * @param {Object} result - { online, latency, error, power }
+ * @returns {Object} Updated health entry
+ */
+function recordProbe(deviceId, result, now = Date.now()) {
+    const previous = health.get(deviceId) || { status: 'unknown', failures: 0, lastSeen: null, since: now };
+    const entry = {
+        ...previous,
+        lastCheck: now,
+        latency: result.online ? result.latency : null,
+        failures: result.online ? 0 : previous.failures + 1,
+        error: result.online ? null : result.error,
+        power: result.power || null
+    };
+    if (result.online) entry.lastSeen = now;
+
+    entry.status = classify(entry);
+    if (entry.status !== previous.status) entry.since = now;
+    health.set(deviceId, entry);
+
+    if (entry.status !== previous.status) {
+        const event = { deviceId, from: previous.status, to: entry.status, health: entry };
+        healthEvents.emit('change', event);
+        if (entry.status === 'offline') healthEvents.emit('down', event);
+        if (previous.status === 'offline') healthEvents.emit('up', event);
+    }
+    return entry;
+}
+
+/**
+ * Probe all devices once (skipped while a previous round is still running)
+ */
+async function checkAll() {
+    if (running) return;
+    running = true;
+
+    try {
+        const devices = hooks.getDevices();
+        health.forEach((entry, id) => {
+            if (!devices[id]) health.delete(id); // Removed from the registry
+        });
+
+        await Promise.all(Object.values(devices).map(async (device) => {
+            const result = await hooks.probe(device);
+            recordProbe(device.id, result);
+        }));
+    } catch (e) {
+        console.error('[Health] Check failed:', e.message);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start probing
+ * @param {Object} options - Hooks:
+ *   getDevices() -> device registry
+ *   probe(device) -> Promise<{ online, latency, error, power }>
+ */
+function startHealthMonitor(options) {
+    hooks = options;
+    if (timer) clearInterval(timer);
+    timer = setInterval(checkAll, HEALTH_INTERVAL);
+    checkAll();
+    console.log(`[Health] Probing devices every ${HEALTH_INTERVAL / 1000}s`);
+}
+
+/**
+ * Get a device's health (status 'unknown' before its first probe)
+ */
+function getDeviceHealth(deviceId) {
+    return health.get(deviceId) || { status: 'unknown', latency: null, lastSeen: null, lastCheck: null, failures: 0, error: null, power: null, since: null };
+}
+
+/**
+ * Health of every tracked device
+ * @returns {Object} deviceId -> health entry
+ */
+function getAllHealth() {
+    const all = {};
+    health.forEach((entry, id) => {
+        all[id] = entry;
+    });
+    return all;
+}
+
+/**
+ * Forget a removed device
+ */
+function forgetDevice(deviceId) {
+    health.delete(deviceId);
+}
+
+module.exports = {
+    healthEvents,
+    startHealthMonitor,
+    checkAll,
+    recordProbe,
+    getDeviceHealth,
+    getAllHealth,
+    forgetDevice
+};
@@ -0,0 +1,133 @@
+/**
+ * Device Identity
+ * Cameras are recognized by hardware IDs reported over their protocol
+ * (MAC address, serial number, ONVIF endpoint reference), not by IP, so a
+ * camera that moves to another address stays the same registry entry.
+ * Devices without hardware IDs (e.g. VISCA, NDI) fall back to their address.
+ */
+
+/**
+ * Normalize a MAC address to 12 lowercase hex digits
+ * @returns {string|null} null when the value is not a MAC address
+ */
+function normalizeMac(mac) {
+    const hex = String(mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    if (hex.length !== 12 || /^0+$/.test(hex) || /^f+$/.test(hex)) return null;
+    return hex;
+}
+
+/**
+ * Hardware IDs of a device (or discovery / identify result) by kind
+ * @returns {Object} { mac, serial, endpoint } - only the known ones
+ */
+function hardwareIds(device) {
+    const ids = {};
+    const mac = normalizeMac(device.mac);
+    if (mac) ids.mac = mac;
+    // Serial numbers are only unique per vendor
+    if (device.serial) ids.serial = `${(device.vendor || device.protocol || '').toLowerCase()}:${device.serial}`;
+    if (device.endpoint) ids.endpoint = device.endpoint.toLowerCase();
+    return ids;
+}
+
+/**
+ * Hardware IDs as comparable keys
+ * @returns {Array} e.g. ['mac:080023abcdef', 'serial:panasonic:ABC123', 'endpoint:urn:uuid:...']
+ */
+function hardwareKeys(device) {
+    const ids = hardwareIds(device);
+    return Object.keys(ids).map(kind => `${kind}:${ids[kind]}`);
+}
+
+/**
+ * Registry ID for a new device: hardware ID when known, else the address
+ * ONVIF endpoint IDs use the last URN segment (the ID scheme of older registries).
+ */
+function baseId(device) {
+    const mac = normalizeMac(device.mac);
+    if (mac) return mac;
+    if (device.endpoint) return device.endpoint.split(':').pop().replace(/[^A-Za-z0-9-]/g, '');
+    if (device.serial) return `sn_${(device.vendor || device.protocol || '').toLowerCase()}_${device.serial}`.replace(/[^A-Za-z0-9_-]/g, '');
+    return (device.ip || '').replace(/\./g, '');
+}
+
+/**
+ * Whether two devices report a conflicting hardware ID of the same kind
+ */
+function conflicts(a, b) {
+    const idsA = hardwareIds(a);
+    const idsB = hardwareIds(b);
+    return Object.keys(idsA).some(kind => idsB[kind] && idsB[kind] !== idsA[kind]);
+}
+
+/**
+ * Find the registry entry of a device
+ * Matches, in order: a shared hardware ID, an entry whose ID is the device's
+ * hardware ID, an entry at the same address and protocol whose hardware IDs
+ * do not contradict the device's.
+ * @param {Object} devices - Registry (deviceId -> device)
+ * @param {Object} info - Discovery / identify result ({ ip, protocol, mac, serial, endpoint, ... })
+ * @returns {string|null} Device ID
+ */
+function findDevice(devices, info) {
+    const keys = hardwareKeys(info);
+    if (keys.length > 0) {
+        const match = Object.values(devices).find(device => hardwareKeys(device).some(key => keys.includes(key)));
+        if (match) return match.id;
+
+        const byId = devices[baseId(info)];
+        if (byId && byId.protocol === info.protocol && !conflicts(byId, info)) return byId.id;
+    }
+
+    if (!info.ip) return null;
+    const byAddress = Object.values(devices).find(device =>
+        device.ip === info.ip && device.protocol === info.protocol && !conflicts(device, info));
+    return byAddress ? byAddress.id : null;
+}
+
+/**
+ * Pick an unused registry ID for a new device
+ */
+function allocateId(devices, info) {
+    const base = baseId(info);
+    let id = base;
+    for (let n = 2; devices[id]; n++) id = `${base}_${n}`;
+    return id;
+}
+
+/**
+ * Groups of registry entries that look like the same camera
+ * (same address and protocol, or a shared hardware ID) - candidates for a merge
+ * @returns {Array} [[deviceId, ...]] - suggested merge target first (most hardware IDs)
+ */
+function findDuplicates(devices) {
+    const groups = new Map(); // key -> Set of device IDs
+    Object.values(devices).forEach(device => {
+        const keys = hardwareKeys(device);
+        if (device.ip) keys.push(`address:${device.protocol}:${device.ip}`);
+        keys.forEach(key => {
+            if (!groups.has(key)) groups.set(key, new Set());
+            groups.get(key).add(device.id);
+        });
+    });
+
+    const seen = new Set();
+    const duplicates = [];
+    groups.forEach(ids => {
+        const list = Array.from(ids).sort((a, b) =>
+            hardwareKeys(devices[b]).length - hardwareKeys(devices[a]).length || (a < b ? -1 : 1));
+        const signature = list.slice().sort().join(',');
+        if (list.length < 2 || seen.has(signature)) return;
+        seen.add(signature);
+        duplicates.push(list);
+    });
+    return duplicates;
+}
+
+module.exports = {
+    normalizeMac,
+    hardwareKeys,
+    findDevice,
+    allocateId,
+    findDuplicates
+};
@@ -0,0 +1,150 @@
+/**
+ * LAN Control Channel
+ * WebSocket endpoint on the local Express server so operators on the same
+ * network keep control when the internet (Firebase) is down.
+ * Authentication, validation and execution stay in main.js (hooks).
+ *
+ * Client -> server: { type: 'auth', token } first, then
+ *                   { type: 'command', id, command } (command carries token, nonce, timestamp)
+ *                   { type: 'stream', target, vector, speed } | { type: 'heartbeat' } | { type: 'stream_end' }
+ * Server -> client: { type: 'ready', session } | { type: 'state', devices, leases, users }
+ *                   { type: 'result', id, status, ... } | { type: 'session', role, cameras }
+ *                   { type: 'stream', status: 'rejected'|'stopped', reason } | { type: 'ended', reason }
+ *
+ * Joystick streams (see stream.js) end when the client sends stream_end,
+ * stops sending, or its socket closes.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const WS_PATH = '/api/lan/ws';
+const AUTH_TIMEOUT = 5000; // Sockets must authenticate within 5 seconds
+
+let wss = null;
+let hooks = {};
+// sid -> Set of sockets
+const sockets = new Map();
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * @param {Object} server - http.Server from express listen()
+ * @param {Object} options - Hooks:
+ *   authenticate(token) -> session | null
+ *   onCommand(session, command, reply(fields))
+ *   onStream(session, frame, reply(fields)) - joystick vector frame
+ *   onHeartbeat(session) - joystick still held
+ *   onStreamEnd(session, reason) - 'Released' or 'Disconnected'
+ *   getState(session) -> { devices, leases, users }
+ *   onDisconnect(sid) - last socket of a session closed
+ */
+function initLan(server, options) {
+    hooks = options;
+    wss = new WebSocketServer({ server, path: WS_PATH });
+
+    wss.on('connection', (ws) => {
+        let session = null;
+        let streaming = false; // This socket drives the session's joystick stream
+        const authTimer = setTimeout(() => ws.close(4001, 'Authentication timeout'), AUTH_TIMEOUT);
+
+        ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (e) {
+                return send(ws, { type: 'error', reason: 'Malformed message' });
+            }
+
+            if (!session) {
+                session = msg.type === 'auth' ? hooks.authenticate(msg.token) : null;
+                if (!session) return ws.close(4001, 'Unauthorized');
+
+                clearTimeout(authTimer);
+                if (!sockets.has(session.id)) sockets.set(session.id, new Set());
+                sockets.get(session.id).add(ws);
+                send(ws, { type: 'ready', session: { role: session.role, cameras: session.cameras } });
+                send(ws, { type: 'state', ...hooks.getState(session) });
+                return;
+            }
+
+            if (msg.type === 'command' && msg.command) {
+                hooks.onCommand(session, msg.command, fields => send(ws, { type: 'result', id: msg.id, ...fields }));
+            } else if (msg.type === 'stream') {
+                streaming = true;
+                hooks.onStream(session, msg, fields => send(ws, { type: 'stream', ...fields }));
+            } else if (msg.type === 'heartbeat' && streaming) {
+                hooks.onHeartbeat(session);
+            } else if (msg.type === 'stream_end' && streaming) {
+                streaming = false;
+                hooks.onStreamEnd(session, 'Released');
+            }
+        });
+
+        ws.on('close', () => {
+            clearTimeout(authTimer);
+            if (streaming) hooks.onStreamEnd(session, 'Disconnected');
+            if (!session || !sockets.has(session.id)) return;
+
+            const set = sockets.get(session.id);
+            set.delete(ws);
+            if (set.size === 0) {
+                sockets.delete(session.id);
+                hooks.onDisconnect(session.id);
+            }
+        });
+
+        ws.on('error', (err) => console.error('[LAN] Socket error:', err.message));
+    });
+
+    console.log(`[LAN] WebSocket control on ${WS_PATH}`);
+}
+
+function send(ws, msg) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+/**
+ * Push current devices / leases / users to every connected session
+ */
+function broadcastState() {
+    sockets.forEach((set, sid) => {
+        const state = hooks.getState({ id: sid });
+        set.forEach(ws => send(ws, { type: 'state', ...state }));
+    });
+}
+
+/**
+ * Send a message to all sockets of a session
+ */
+function notifySession(sid, msg) {
+    (sockets.get(sid) || []).forEach(ws => send(ws, msg));
+}
+
+/**
+ * Tell a session why it ended and close its sockets
+ * (no onDisconnect: the caller already forgot the session)
+ */
+function closeSession(sid, reason) {
+    const set = sockets.get(sid);
+    if (!set) return;
+
+    sockets.delete(sid);
+    set.forEach(ws => {
+        send(ws, { type: 'ended', reason });
+        ws.close(4000, 'Session ended');
+    });
+}
+
+/**
+ * Close every LAN session (room stopped)
+ */
+function closeAllSessions(reason) {
+    Array.from(sockets.keys()).forEach(sid => closeSession(sid, reason));
+}
+
+module.exports = {
+    initLan,
+    broadcastState,
+    notifySession,
+    closeSession,
+    closeAllSessions
+};
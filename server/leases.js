@@ -0,0 +1,114 @@
+/**
+ * Camera Control Leases
+ * The first remote user to move a camera holds it until they stop sending
+ * commands for LEASE_TIMEOUT; other users' commands for it are rejected.
+ * Admins can take over a held camera.
+ */
+
+const LEASE_TIMEOUT = 10 * 1000; // Released after 10 seconds without commands
+
+// deviceId -> { deviceId, sid, user, acquiredAt, lastActivity }
+const leases = new Map();
+
+/**
+ * Get the live lease of a camera
+ * @returns {Object|null} Lease, null when free or expired
+ */
+function getLease(deviceId, now = Date.now()) {
+    const lease = leases.get(deviceId);
+    if (!lease || now - lease.lastActivity >= LEASE_TIMEOUT) return null;
+    return lease;
+}
+
+/**
+ * Acquire or renew leases on cameras for a session
+ * Nothing is acquired unless every camera is free or already held by the session.
+ * @param {Array} deviceIds - Cameras the command targets
+ * @param {Object} session - { id, user }
+ * @param {boolean} [force] - Take over cameras held by others (admin)
+ * @returns {Object} { granted: true, changed: [deviceId] } or { granted: false, lease } (blocking lease)
+ */
+function acquireLeases(deviceIds, session, force = false) {
+    const now = Date.now();
+
+    if (!force) {
+        for (const id of deviceIds) {
+            const lease = getLease(id, now);
+            if (lease && lease.sid !== session.id) return { granted: false, lease };
+        }
+    }
+
+    const changed = [];
+    deviceIds.forEach(id => {
+        const lease = getLease(id, now);
+        if (lease && lease.sid === session.id) {
+            lease.lastActivity = now;
+            return;
+        }
+        leases.set(id, { deviceId: id, sid: session.id, user: session.user, acquiredAt: now, lastActivity: now });
+        changed.push(id);
+    });
+    return { granted: true, changed };
+}
+
+/**
+ * Release leases a session holds on cameras
+ * @returns {Array} Released device IDs
+ */
+function releaseLeases(deviceIds, sid) {
+    return deviceIds.filter(id => {
+        const lease = leases.get(id);
+        if (!lease || lease.sid !== sid) return false;
+        leases.delete(id);
+        return true;
+    });
+}
+
+/**
+ * Release every lease of a session (logout, kick, expiry)
+ * @returns {Array} Released device IDs
+ */
+function releaseSessionLeases(sid) {
+    return releaseLeases(Array.from(leases.keys()), sid);
+}
+
+/**
+ * Drop leases past the inactivity timeout
+ * @returns {Array} Expired device IDs
+ */
+function expireLeases(now = Date.now()) {
+    const expired = [];
+    leases.forEach((lease, id) => {
+        if (now - lease.lastActivity >= LEASE_TIMEOUT) {
+            leases.delete(id);
+            expired.push(id);
+        }
+    });
+    return expired;
+}
+
+/**
+ * Forget all leases (room stopped)
+ */
+function clearLeases() {
+    leases.clear();
+}
+
+/**
+ * List live leases
+ */
+function listLeases() {
+    const now = Date.now();
+    return Array.from(leases.keys()).map(id => getLease(id, now)).filter(Boolean);
+}
+
+module.exports = {
+    LEASE_TIMEOUT,
+    getLease,
+    acquireLeases,
+    releaseLeases,
+    releaseSessionLeases,
+    expireLeases,
+    clearLeases,
+    listLeases
+};
@@ -0,0 +1,130 @@
+/**
+ * Login Lockout
+ * Tracks failed logins per client and per room. After a few free attempts
+ * every further failure locks the key out for an exponentially growing time.
+ * Clients are keyed by something they cannot change for free (LAN: IP address,
+ * relay: the identity the relay enforces). The room counter is kept per
+ * channel ('lan' / 'relay'), so flooding the relay never locks out LAN logins.
+ */
+
+const RESET_WINDOW = 15 * 60 * 1000; // Failures are forgotten after 15 quiet minutes
+const MAX_TRACKED = 1000;            // Client records kept (oldest dropped first)
+
+// threshold: free failures, base: first lockout, max: longest lockout
+const POLICIES = {
+    client: { threshold: 3, base: 2 * 1000, max: 5 * 60 * 1000 },
+    room: { threshold: 20, base: 10 * 1000, max: 15 * 60 * 1000 }
+};
+
+// key -> { count, lastFailure, lockedUntil }
+const clientFailures = new Map();
+// channel -> { count, lastFailure, lockedUntil }
+const roomFailures = new Map();
+
+/**
+ * Get a record unless it is past the reset window
+ */
+function liveRecord(record, now) {
+    if (!record || now - record.lastFailure >= RESET_WINDOW) return null;
+    return record;
+}
+
+/**
+ * Count a failure and extend the lockout: base * 2^(failures over threshold)
+ */
+function addFailure(record, policy, now) {
+    const next = record || { count: 0, lastFailure: now, lockedUntil: 0 };
+    next.count++;
+    next.lastFailure = now;
+    if (next.count > policy.threshold) {
+        const delay = Math.min(policy.base * 2 ** (next.count - policy.threshold - 1), policy.max);
+        next.lockedUntil = now + delay;
+    }
+    return next;
+}
+
+/**
+ * Check whether a client may try to log in
+ * @param {string} channel - 'lan' or 'relay'
+ * @returns {Object} { allowed: true } or { allowed: false, scope: 'client'|'room', retryAfter } (ms)
+ */
+function checkLogin(clientKey, channel, now = Date.now()) {
+    const room = liveRecord(roomFailures.get(channel), now);
+    if (room && room.lockedUntil > now) {
+        return { allowed: false, scope: 'room', retryAfter: room.lockedUntil - now };
+    }
+
+    const client = clientKey ? liveRecord(clientFailures.get(clientKey), now) : null;
+    if (client && client.lockedUntil > now) {
+        return { allowed: false, scope: 'client', retryAfter: client.lockedUntil - now };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Record a failed login
+ * @param {string} channel - 'lan' or 'relay' (room counter the failure counts against)
+ * @returns {Object} { clientFailures, roomFailures, lockedUntil } (lockedUntil 0 = not locked)
+ */
+function recordFailure(clientKey, channel, now = Date.now()) {
+    const client = addFailure(liveRecord(clientFailures.get(clientKey), now), POLICIES.client, now);
+    clientFailures.delete(clientKey); // Re-insert keeps the map ordered by last failure
+    clientFailures.set(clientKey, client);
+    const room = addFailure(liveRecord(roomFailures.get(channel), now), POLICIES.room, now);
+    roomFailures.set(channel, room);
+
+    if (clientFailures.size > MAX_TRACKED) {
+        clientFailures.delete(clientFailures.keys().next().value);
+    }
+
+    return {
+        clientFailures: client.count,
+        roomFailures: room.count,
+        lockedUntil: Math.max(client.lockedUntil, room.lockedUntil)
+    };
+}
+
+/**
+ * Forget a client's failures after a successful login
+ * The room counter only resets with time.
+ */
+function recordSuccess(clientKey) {
+    clientFailures.delete(clientKey);
+}
+
+/**
+ * Forget all failures (room stopped or changed)
+ */
+function resetLockouts() {
+    clientFailures.clear();
+    roomFailures.clear();
+}
+
+/**
+ * Summary for the dashboard
+ * @returns {Object} { failedAttempts, roomLocks: { channel: lockedUntil }, lockedClients }
+ */
+function getLockoutStatus(now = Date.now()) {
+    let failedAttempts = 0;
+    const roomLocks = {};
+    roomFailures.forEach((record, channel) => {
+        const room = liveRecord(record, now);
+        if (!room) return;
+        failedAttempts += room.count;
+        if (room.lockedUntil > now) roomLocks[channel] = room.lockedUntil;
+    });
+    let lockedClients = 0;
+    clientFailures.forEach(record => {
+        if (record.lockedUntil > now) lockedClients++;
+    });
+
+    return { failedAttempts, roomLocks, lockedClients };
+}
+
+module.exports = {
+    checkLogin,
+    recordFailure,
+    recordSuccess,
+    resetLockouts,
+    getLockoutStatus
+};
@@ -1,15 +1,24 @@
-const { app, BrowserWindow, Tray, Menu, shell, ipcMain, nativeImage } = require('electron');
+const { app, BrowserWindow, Tray, Menu, shell, ipcMain, nativeImage, dialog, Notification } = require('electron');
 const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
-const admin = require('firebase-admin');
-const serviceAccount = require('./serviceAccountKey.json');
 const os = require('os');
 const ip = require('ip');
 const fs = require('fs');
-const { autoDiscovery, addDevice, getDevices, removeDevice } = require('./discovery');
-const { sendPtzCommand, getSupportedProtocols } = require('./ptz');
-const { verifyCommand, sanitizeCommand } = require('./security');
+const crypto = require('crypto');
+const { discoveryEvents, initRegistry, runDiscovery, startDiscovery, getDiscoveryStatus, setDiscoveryConfig, unignoreDevice, mergeDevices, addDevice, getDevices, removeDevice, renameDevice, refreshCapabilities } = require('./discovery');
+const { sendPtzCommand, stopMotion, getSupportedProtocols, getStaticCapabilities, identifyDevice, probeDevice } = require('./ptz');
+const visca = require('./protocols/visca');
+const { initPresets, isValidPresetNumber, getPresets, listPresets, storePreset, updatePreset, deletePreset, markRecalled, removeDevicePresets, mergeDevicePresets } = require('./presets');
+const { verifyCommand, verifyToken, sanitizeCommand, isCameraAction, issueToken, sealToken, revokeSession, rotateSigningKey, isValidLoginKey, passwordMatches, ROLES } = require('./security');
+const { setSessionLimits, getSessionLimits, createSession, getSession, touchSession, canTakeRole, findExpiredSessions, setAccess, removeSession, clearSessions, listSessions } = require('./sessions');
+const { LEASE_TIMEOUT, acquireLeases, releaseLeases, releaseSessionLeases, expireLeases, clearLeases, getLease, listLeases } = require('./leases');
+const { initAudit, audit, queryAudit, toCsv } = require('./audit');
+const { healthEvents, startHealthMonitor, getDeviceHealth, getAllHealth, forgetDevice } = require('./health');
+const { initRelay, getRelay, getRelayConfig, getRelayStatus, setRelayConfig } = require('./relay');
+const { initLan, broadcastState, notifySession, closeSession, closeAllSessions } = require('./lan');
+const { STREAM_RATE, STREAM_TIMEOUT, updateStream, heartbeatStream, endStream, tickStreams, clearStreams } = require('./stream');
+const { checkLogin, recordFailure, recordSuccess, resetLockouts, getLockoutStatus } = require('./lockout');
 
 // --- Icon Handling ---
 const iconPath = path.join(__dirname, '../build/icon.png'); // Use icon.png
@@ -26,33 +35,42 @@ if (fs.existsSync(iconPath)) {
 let mainWindow = null;
 let tray = null;
 let roomId = null;
-let roomPassword = null;
-let firebaseConnected = false;
+let roomPassword = null;     // Admin password
+let operatorPassword = null; // Optional: operator role
+let viewerPassword = null;   // Optional: viewer role
+let relayConnected = false;
 let devices = {};
 let onlineUsers = 0;
 let serverPort = 5000;
 
-// --- Firebase Setup ---
-try {
-    admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: "https://ptzcntrl-default-rtdb.asia-southeast1.firebasedatabase.app/"
-    });
-    console.log("Firebase Admin Initialized");
-} catch (error) {
-    console.error("Firebase Init Error:", error);
-}
-
-const db = admin.database();
+// --- Device Registry (persisted in user data dir) ---
+devices = initRegistry(app.getPath('userData'));
+initPresets(app.getPath('userData'));
+initAudit(app.getPath('userData'));
+initRelay(app.getPath('userData'));
 
 // --- Express Server (Local GUI) ---
 const serverApp = express();
 serverApp.use(bodyParser.json());
+
+// LAN Control: the remote control page and /api/lan are open to the network,
+// the local GUI and management API only to this computer
+serverApp.use('/control', express.static(path.join(__dirname, '..', 'hosting', 'public')));
+serverApp.get('/vendor/nipplejs.min.js', (req, res) => res.sendFile(require.resolve('nipplejs')));
+serverApp.use((req, res, next) => {
+    if (req.path.startsWith('/api/lan/') || isLoopback(req.socket.remoteAddress)) return next();
+    res.status(403).json({ error: "Local access only" });
+});
+
 serverApp.use(express.static(path.join(__dirname, 'public')));
 
+function isLoopback(address) {
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
 // Manual Device Addition with Protocol Selection
 // Helper: Validate Connection
-async function validateConnection(ip, protocol = null) {
+async function validateConnection(ip, protocol = null, port = null) {
     const axios = require('axios');
     const onvif = require('node-onvif');
 
@@ -71,19 +89,9 @@ async function validateConnection(ip, protocol = null) {
                 return 'onvif';
             }
             else if (p === 'visca') {
-                // VISCA over IP (UDP 52381) Port Check
-                const dgram = require('dgram');
-                const detected = await new Promise((resolve) => {
-                    const socket = dgram.createSocket('udp4');
-                    // Simple Inquiry: CAM_PowerInq? (8x 09 04 00 FF) or just handshake
-                    // We'll trust the port open check mostly, or basic packet
-                    const buf = Buffer.from([0x81, 0x09, 0x00, 0x02, 0xFF]);
-                    socket.send(buf, 52381, ip);
-                    socket.on('message', () => { socket.close(); resolve(true); });
-                    socket.on('error', () => { socket.close(); resolve(false); });
-                    setTimeout(() => { socket.close(); resolve(false); }, 1500);
-                });
-                if (detected) return 'visca';
+                // VISCA over IP: camera must answer CAM_VersionInq
+                await visca.inquire({ ip, port }, 'version');
+                return 'visca';
             }
             else if (p === 'ndi') {
                 // NDI check? Usually HTTP on port 80 or specific NDI discovery.
@@ -108,20 +116,25 @@ serverApp.post('/api/manual-ip', async (req, res) => {
 
         try {
             // VALIDATE CONNECTION FIRST
-            const validProtocol = await validateConnection(ip, protocol);
+            const validProtocol = await validateConnection(ip, protocol, port);
 
             if (!validProtocol) {
                 return res.status(400).json({ error: `無法連線至 ${ip}。請確認 IP 正確且攝影機已開機。` });
             }
 
+            // Vendor/model and hardware IDs (a known camera at a new IP keeps its entry)
+            const identity = await identifyDevice({ ip, port, protocol: protocol || validProtocol, username, password });
+
             const device = addDevice({
                 ip: ip,
                 protocol: protocol || validProtocol, // Use detected protocol if auto
                 port: port,
-                name: name || `Camera (${ip})`,
+                name: name || (identity.model ? `${identity.vendor} ${identity.model} (${ip})` : `Camera (${ip})`),
                 username: username,
-                password: password
+                password: password,
+                ...identity
             });
+            await refreshCapabilities(device.id);
             devices = getDevices();
             updateDashboard();
             res.json({ success: true, device, devices });
@@ -139,6 +152,8 @@ serverApp.post('/api/manual-ip', async (req, res) => {
 serverApp.delete('/api/device/:id', (req, res) => {
     const { id } = req.params;
     if (removeDevice(id)) {
+        removeDevicePresets(id);
+        forgetDevice(id);
         devices = getDevices();
         updateDashboard();
         res.json({ success: true, devices });
@@ -147,24 +162,297 @@ serverApp.delete('/api/device/:id', (req, res) => {
     }
 });
 
+// Merge a duplicate entry into another (presets, camera scopes and hardware IDs move to the target)
+serverApp.post('/api/device/merge', (req, res) => {
+    const { sourceId, targetId } = req.body;
+    let target;
+    try {
+        target = mergeDevices(sourceId, targetId);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    if (!target) return res.status(404).json({ error: "Device not found" });
+
+    const moved = mergeDevicePresets(sourceId, targetId);
+    forgetDevice(sourceId);
+    // Users limited to the old entry keep their access under the merged one
+    listSessions().forEach(session => {
+        if (!session.cameras || !session.cameras.includes(sourceId)) return;
+        const cameras = Array.from(new Set(session.cameras.map(id => id === sourceId ? targetId : id)));
+        changeAccess(session.id, { cameras }, 'merge');
+    });
+
+    logBuffer(`Merged ${sourceId} into ${target.name} (${moved} presets moved)`, 'success');
+    audit({ type: 'device', action: 'MERGE', target: targetId, source: sourceId, presets: moved });
+    devices = getDevices();
+    updateDashboard();
+    res.json({ success: true, device: target, devices });
+});
+
+// List Serial Ports (VISCA RS-232/RS-422)
+serverApp.get('/api/serial/ports', async (req, res) => {
+    try {
+        res.json({ ports: await visca.listSerialPorts() });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Enumerate VISCA Daisy Chain and add each camera
+serverApp.post('/api/serial/enumerate', async (req, res) => {
+    const { path: serialPath, baudRate } = req.body;
+    if (!serialPath) return res.status(400).json({ error: "Missing serial port" });
+
+    console.log(`[API] Enumerating VISCA chain on ${serialPath}`);
+    try {
+        const count = await visca.enumerateChain(serialPath, baudRate);
+        const added = [];
+
+        for (let address = 1; address <= count; address++) {
+            const base = { transport: 'serial', serialPath, baudRate, cameraAddress: address };
+            let identity = {};
+            try {
+                const version = await visca.inquire(base, 'version');
+                identity = { vendor: version.vendor, model: version.model, firmware: version.romVersion };
+            } catch (e) {
+                console.log(`[Serial] Version inquiry failed for ${serialPath}#${address}: ${e.message}`);
+            }
+
+            const device = addDevice({
+                ...base,
+                id: `serial_${serialPath.replace(/[^A-Za-z0-9]/g, '')}_${address}`,
+                protocol: 'visca',
+                name: `${identity.vendor ? `${identity.vendor} ${identity.model}` : 'VISCA'} (${serialPath} #${address})`,
+                ...identity
+            });
+            await refreshCapabilities(device.id);
+            added.push(device);
+        }
+
+        devices = getDevices();
+        updateDashboard();
+        res.json({ success: true, count, devices: added });
+    } catch (e) {
+        console.error("Serial enumerate error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Read Device Position (normalized pan/tilt -1..1, zoom 0..1)
+serverApp.get('/api/device/:id/position', async (req, res) => {
+    const { id } = req.params;
+    if (!devices[id]) return res.status(404).json({ error: "Device not found" });
+
+    const [result] = await sendPtzCommand({ action: 'GET_POSITION', target: id }, devices);
+    if (result && result.success) {
+        res.json({ success: true, position: result.position });
+    } else {
+        res.status(502).json({ error: (result && result.error) || 'No response' });
+    }
+});
+
+// Move Device to Absolute Position
+serverApp.post('/api/device/:id/position', async (req, res) => {
+    const { id } = req.params;
+    const { speed } = req.body;
+    if (!devices[id]) return res.status(404).json({ error: "Device not found" });
+
+    // Only pass numeric axes; omitted axes keep their current value
+    const position = {};
+    ['pan', 'tilt', 'zoom'].forEach(axis => {
+        if (typeof req.body[axis] === 'number') position[axis] = req.body[axis];
+    });
+    if (Object.keys(position).length === 0) return res.status(400).json({ error: "Missing position" });
+
+    const [result] = await sendPtzCommand({
+        action: 'GOTO_ABSOLUTE',
+        target: id,
+        speed: speed,
+        position
+    }, devices);
+    if (result && result.success) {
+        res.json({ success: true });
+    } else {
+        res.status(502).json({ error: (result && result.error) || 'No response' });
+    }
+});
+
+// --- Preset Library ---
+// Preset commands carry the preset number in `speed` (same as PRESET_CALL/PRESET_SET)
+
+// Store preset on camera(s) and record it with the current position when readable
+async function recordPreset(deviceId, number, fields = {}) {
+    const device = devices[deviceId];
+    let position = null;
+
+    if (device && device.capabilities && device.capabilities.absolutePosition) {
+        const [result] = await sendPtzCommand({ action: 'GET_POSITION', target: deviceId }, devices);
+        if (result && result.success) position = result.position;
+    }
+    return storePreset(deviceId, number, { ...fields, position });
+}
+
+// Update the library after PRESET_SET / PRESET_CALL ran on the camera(s)
+async function trackPresetResults(cmd, results) {
+    if (cmd.action !== 'PRESET_SET' && cmd.action !== 'PRESET_CALL') return;
+
+    const number = parseInt(cmd.speed, 10);
+    for (const result of results) {
+        // Skipped commands (conflated / deduplicated) never reached the camera
+        if (!result.success || result.skipped || !result.target) continue;
+        if (cmd.action === 'PRESET_SET') {
+            await recordPreset(result.target, number, { name: cmd.name });
+        } else {
+            markRecalled(result.target, number);
+        }
+    }
+    updateDashboard();
+}
+
+// Resolve device and preset number for preset routes
+function presetRequest(req, res) {
+    const { id } = req.params;
+    const number = parseInt(req.params.num, 10);
+    if (!devices[id]) {
+        res.status(404).json({ error: "Device not found" });
+        return null;
+    }
+    if (!isValidPresetNumber(devices[id].capabilities, number)) {
+        res.status(400).json({ error: "Invalid preset number" });
+        return null;
+    }
+    return { id, number };
+}
+
+// List Presets
+serverApp.get('/api/devices/:id/presets', (req, res) => {
+    const { id } = req.params;
+    if (!devices[id]) return res.status(404).json({ error: "Device not found" });
+    res.json({ presets: listPresets(id) });
+});
+
+// Store Current View as Preset { name, thumbnail }
+serverApp.post('/api/devices/:id/presets/:num', async (req, res) => {
+    const preset = presetRequest(req, res);
+    if (!preset) return;
+
+    const [result] = await sendPtzCommand({ action: 'PRESET_SET', target: preset.id, speed: preset.number }, devices);
+    if (!result || !result.success || result.skipped) {
+        return res.status(502).json({ error: (result && result.error) || (result ? 'Preset command was skipped' : 'No response') });
+    }
+    try {
+        const stored = await recordPreset(preset.id, preset.number, req.body);
+        logBuffer(`Preset ${preset.number} stored on ${devices[preset.id].name}`);
+        updateDashboard();
+        res.json({ success: true, preset: stored });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Edit Preset Metadata { name, thumbnail }
+serverApp.patch('/api/devices/:id/presets/:num', (req, res) => {
+    const preset = presetRequest(req, res);
+    if (!preset) return;
+
+    try {
+        const updated = updatePreset(preset.id, preset.number, req.body);
+        if (!updated) return res.status(404).json({ error: "Preset not found" });
+        updateDashboard();
+        res.json({ success: true, preset: updated });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Delete Preset from Library
+serverApp.delete('/api/devices/:id/presets/:num', (req, res) => {
+    const preset = presetRequest(req, res);
+    if (!preset) return;
+
+    if (!deletePreset(preset.id, preset.number)) return res.status(404).json({ error: "Preset not found" });
+    updateDashboard();
+    res.json({ success: true });
+});
+
+// Recall Preset
+serverApp.post('/api/devices/:id/presets/:num/recall', async (req, res) => {
+    const preset = presetRequest(req, res);
+    if (!preset) return;
+
+    const cmd = { action: 'PRESET_CALL', target: preset.id, speed: preset.number };
+    const results = await sendPtzCommand(cmd, devices);
+    if (results[0] && results[0].success) {
+        await trackPresetResults(cmd, results);
+        res.json({ success: true });
+    } else {
+        res.status(502).json({ error: (results[0] && results[0].error) || 'No response' });
+    }
+});
+
+// Device Capabilities (?refresh=1 re-queries the device)
+serverApp.get('/api/devices/:id/capabilities', async (req, res) => {
+    const { id } = req.params;
+    if (!devices[id]) return res.status(404).json({ error: "Device not found" });
+
+    let capabilities = devices[id].capabilities;
+    if (!capabilities || req.query.refresh) {
+        capabilities = await refreshCapabilities(id);
+        updateDashboard();
+    }
+    res.json({ id, capabilities });
+});
+
 // Get supported protocols
 serverApp.get('/api/protocols', (req, res) => {
     res.json({ protocols: getSupportedProtocols() });
 });
 
-// Scan Network (Trigger Auto Discovery)
+// Scan Network (on-demand discovery; joins a scan already running)
 serverApp.post('/api/scan-network', async (req, res) => {
     console.log('[API] Triggering network scan...');
     try {
-        const discovered = await autoDiscovery();
+        const result = await runDiscovery('manual');
         devices = getDevices();
-        updateDashboard();
-        res.json({ success: true, count: discovered.length, devices });
+        res.json({ success: true, count: result.found, added: result.added, changed: result.changed, gone: result.gone, devices });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// Discovery schedule, last scan and ignore list
+serverApp.get('/api/discovery', (req, res) => {
+    res.json(getDiscoveryStatus());
+});
+
+// Change the schedule: { enabled, intervalMinutes, staleDays, sweep } (staleDays 0 = never expire)
+// The interval is clamped to 30 seconds - 24 hours
+serverApp.post('/api/discovery', (req, res) => {
+    const { enabled, intervalMinutes, staleDays, sweep } = req.body;
+    const invalid = (value) => value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0);
+    if (invalid(intervalMinutes)) return res.status(400).json({ error: "intervalMinutes must be a non-negative number" });
+    if (invalid(staleDays)) return res.status(400).json({ error: "staleDays must be a non-negative number" });
+
+    res.json({
+        success: true,
+        discovery: setDiscoveryConfig({
+            enabled,
+            sweep,
+            interval: intervalMinutes !== undefined ? intervalMinutes * 60 * 1000 : undefined,
+            staleAfter: staleDays !== undefined ? staleDays * 24 * 60 * 60 * 1000 : undefined
+        })
+    });
+});
+
+// Let discovery add an ignored (removed) device again
+serverApp.delete('/api/discovery/ignored/:id', (req, res) => {
+    if (unignoreDevice(req.params.id)) {
+        res.json({ success: true, discovery: getDiscoveryStatus() });
+    } else {
+        res.status(404).json({ error: "Device not ignored" });
+    }
+});
+
 // Auto-probe IP to detect protocol
 serverApp.post('/api/probe-ip', async (req, res) => {
     const { ip } = req.body;
@@ -183,6 +471,7 @@ serverApp.post('/api/probe-ip', async (req, res) => {
         try {
             let detected = false;
             let name = '';
+            let identity = {};
 
             switch (protocol) {
                 case 'onvif':
@@ -205,16 +494,11 @@ serverApp.post('/api/probe-ip', async (req, res) => {
                     break;
 
                 case 'visca':
-                    // VISCA detection is harder, assume if port 52381 responds
-                    const dgram = require('dgram');
-                    detected = await new Promise((resolve) => {
-                        const socket = dgram.createSocket('udp4');
-                        const buf = Buffer.from([0x81, 0x09, 0x00, 0x02, 0xFF]); // Inquiry
-                        socket.send(buf, 52381, ip);
-                        socket.on('message', () => { socket.close(); resolve(true); });
-                        setTimeout(() => { socket.close(); resolve(false); }, 1000);
-                    });
-                    if (detected) name = 'VISCA Camera';
+                    // VISCA over IP: version inquiry identifies vendor and model
+                    const version = await visca.inquire({ ip }, 'version');
+                    detected = true;
+                    name = `${version.vendor} ${version.model}`;
+                    identity = { vendor: version.vendor, model: version.model, firmware: version.romVersion };
                     break;
 
                 case 'ndi':
@@ -232,8 +516,11 @@ serverApp.post('/api/probe-ip', async (req, res) => {
                 const device = addDevice({
                     ip: ip,
                     protocol: protocol,
-                    name: name || `Camera (${ip})`
+                    name: name || `Camera (${ip})`,
+                    ...(await identifyDevice({ ip, protocol })),
+                    ...identity
                 });
+                await refreshCapabilities(device.id);
                 devices = getDevices();
                 updateDashboard();
                 return res.json({ success: true, device, protocol });
@@ -251,30 +538,26 @@ serverApp.post('/api/probe-ip', async (req, res) => {
         protocol: 'onvif',
         name: `Camera (${ip})`
     });
+    await refreshCapabilities(device.id);
     devices = getDevices();
     updateDashboard();
     res.json({ success: true, device, protocol: 'onvif', note: 'Auto-assigned (undetected)' });
 });
 
-// Background discovery (every 30 seconds)
-setInterval(async () => {
-    console.log('[Background] Running auto-discovery...');
-    try {
-        await autoDiscovery();
-        devices = getDevices();
-        updateDashboard();
-    } catch (e) {
-        console.error('[Background] Discovery error:', e.message);
-    }
-}, 30000);
-
-serverApp.post('/api/config', (req, res) => {
-    const { room, pass } = req.body;
+serverApp.post('/api/config', async (req, res) => {
+    const { room, pass, operatorPass, viewerPass, idleMinutes, lifetimeHours, maxOperators } = req.body;
     if (room && pass) {
-        if (roomId) stopFirebaseListener(); // Stop previous if exists
+        if (roomId) await stopRelay(); // Stop previous if exists
         roomId = room;
         roomPassword = pass;
-        startFirebaseListener(roomId);
+        operatorPassword = operatorPass || null;
+        viewerPassword = viewerPass || null;
+        setSessionLimits({
+            idleTimeout: idleMinutes !== undefined ? idleMinutes * 60 * 1000 : undefined,
+            maxLifetime: lifetimeHours !== undefined ? lifetimeHours * 60 * 60 * 1000 : undefined,
+            maxOperators
+        });
+        startRelay(roomId);
         res.json({ success: true });
         updateDashboard();
     } else {
@@ -282,28 +565,199 @@ serverApp.post('/api/config', (req, res) => {
     }
 });
 
+// Relay transport settings { transport, firebase: { credentialsPath, databaseURL },
+// mqtt: { url, username, password, topicPrefix } } - applied when the room is (re)started
+serverApp.get('/api/relay', (req, res) => {
+    res.json(getRelayConfig());
+});
+
+serverApp.post('/api/relay', (req, res) => {
+    try {
+        const config = setRelayConfig(req.body || {});
+        logBuffer(`Relay transport set to ${config.transport}${config.ready ? '' : ` (local-only: ${config.reason})`}`);
+        res.json({ success: true, relay: config });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Pick the Firebase service account key with a native file dialog (the GUI is a browser page)
+serverApp.post('/api/relay/browse', async (req, res) => {
+    const result = await dialog.showOpenDialog({
+        title: 'Firebase Service Account Key',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+    res.json({ path: result.canceled ? null : result.filePaths[0] });
+});
+
 serverApp.post('/api/stop', (req, res) => {
-    stopFirebaseListener();
+    stopRelay();
     roomId = null;
     roomPassword = null;
+    operatorPassword = null;
+    viewerPassword = null;
     res.json({ success: true });
     updateDashboard();
 });
 
+// Change Role / Camera Scope of a Remote Session { role, cameras }
+serverApp.post('/api/sessions/:id/access', (req, res) => {
+    const { role, cameras } = req.body;
+    if (role && !ROLES.includes(role)) return res.status(400).json({ error: "Unknown role" });
+    if (cameras !== undefined && cameras !== null && !Array.isArray(cameras)) {
+        return res.status(400).json({ error: "Invalid cameras" });
+    }
+
+    if (!getSession(req.params.id)) return res.status(404).json({ error: "Session not found" });
+    const session = changeAccess(req.params.id, { role, cameras });
+    if (!session) return res.status(409).json({ error: "Operator limit reached" });
+    res.json({ success: true, session });
+});
+
+// List Remote Sessions (with activity / expiry) and Session Limits
+serverApp.get('/api/sessions', (req, res) => {
+    res.json({ sessions: listSessions(), limits: getSessionLimits() });
+});
+
+// Kick a Remote Session
+serverApp.delete('/api/sessions/:id', (req, res) => {
+    if (!kickSession(req.params.id)) return res.status(404).json({ error: "Session not found" });
+    res.json({ success: true });
+});
+
+// Audit Log: ?user=&camera=&type=&from=&to=&limit=&format=csv (from/to: ms or ISO date)
+serverApp.get('/api/logs', (req, res) => {
+    const parseTime = (value) => {
+        if (!value) return null;
+        const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        return Number.isNaN(time) ? undefined : time;
+    };
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ error: "Invalid time range" });
+
+    const entries = queryAudit({
+        type: req.query.type,
+        user: req.query.user,
+        camera: req.query.camera,
+        from,
+        to,
+        limit: Math.min(parseInt(req.query.limit, 10) || 500, 10000)
+    });
+
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="audit.csv"');
+        return res.send('\ufeff' + toCsv(entries)); // BOM so Excel reads UTF-8 names
+    }
+    res.json({ entries });
+});
+
 serverApp.get('/api/status', (req, res) => {
     res.json({
         roomId,
-        connected: firebaseConnected,
+        connected: relayConnected,
+        relay: getRelayConfig(),
         devices: devices,
         users: onlineUsersList,
+        limits: getSessionLimits(),
+        leases: listLeases(),
+        health: getAllHealth(),
+        discovery: getDiscoveryStatus(),
+        security: getLockoutStatus(),
+        logs: serverLogs,
         ip: ip.address()
     });
 });
 
+// --- LAN Control API (same login, tokens and command pipeline as the relay) ---
+const LAN_COMMAND_TIMEOUT = 10 * 1000;
+
+// Session of a LAN token (only tokens issued by /api/lan/login)
+function lanSession(token) {
+    const auth = verifyToken(token);
+    if (!auth.valid || auth.claims.room !== roomId) return null;
+
+    const session = getSession(auth.claims.sid);
+    return session && session.transport === 'lan' ? session : null;
+}
+
+// Authorization: Bearer <token>
+function requireLanSession(req, res) {
+    const header = req.headers.authorization || '';
+    const session = header.startsWith('Bearer ') ? lanSession(header.slice(7)) : null;
+    if (!session) res.status(401).json({ error: "Not logged in" });
+    return session;
+}
+
+// Reachability check; serverTime lets clients stamp commands on the controller's clock
+serverApp.get('/api/lan/info', (req, res) => {
+    res.json({ available: Boolean(roomId), serverTime: Date.now() });
+});
+
+// Login { username, password } -> { sid, token, role, cameras, expiresAt, serverTime }
+serverApp.post('/api/lan/login', (req, res) => {
+    if (!roomId) return res.status(503).json({ error: "Server not started" });
+
+    const username = typeof req.body.username === 'string' ? req.body.username.trim().slice(0, 32) : '';
+    if (!username) return res.status(400).json({ error: "Missing username" });
+
+    const sid = `lan_${crypto.randomBytes(8).toString('hex')}`;
+    const login = evaluateLogin(`lan:${req.ip}`, 'lan', sid, username, req.body.password);
+    if (!login.approved) return res.status(403).json({ error: login.reason || "Access Denied" });
+
+    const session = createSession(sid, { user: username, role: login.role, transport: 'lan' });
+    const { token, expiresAt } = issueSessionToken(session);
+    refreshUsers();
+    res.json({ success: true, sid, token, role: session.role, cameras: session.cameras, expiresAt, serverTime: Date.now() });
+});
+
+serverApp.post('/api/lan/logout', (req, res) => {
+    const session = requireLanSession(req, res);
+    if (!session) return;
+
+    dropSession(session, 'LOGOUT');
+    closeSession(session.id, 'Logged out');
+    res.json({ success: true });
+});
+
+// Devices, leases and (admin) users
+serverApp.get('/api/lan/state', (req, res) => {
+    const session = requireLanSession(req, res);
+    if (session) res.json(lanState(session));
+});
+
+// Run a command (same body as a relay command: token, nonce, timestamp)
+// Responds with the final result
+serverApp.post('/api/lan/command', async (req, res) => {
+    const result = await new Promise(resolve => {
+        const timer = setTimeout(() => resolve({ status: 'timeout' }), LAN_COMMAND_TIMEOUT);
+        handleCommand(req.body || {}, Date.now(), fields => {
+            if (fields.status === 'accepted') return;
+            clearTimeout(timer);
+            resolve(fields);
+        });
+    });
+    res.status(result.status === 'rejected' ? 403 : 200).json(result);
+});
+
 const server = serverApp.listen(serverPort, () => {
     console.log(`Local GUI running on http://localhost:${serverPort}`);
 });
 
+// Joystick and state streaming for LAN clients (see lan.js)
+initLan(server, {
+    authenticate: lanSession,
+    onCommand: (session, command, reply) => handleCommand(command, Date.now(), reply),
+    onStream: handleStreamFrame,
+    onHeartbeat: handleStreamHeartbeat,
+    onStreamEnd: (session, reason) => stopStream(session.id, reason, { notify: false }),
+    getState: (session) => lanState(getSession(session.id)),
+    // The session survives a dropped socket or page reload (ends by logout, kick or expiry)
+    onDisconnect: (sid) => stopStream(sid, 'Disconnected', { notify: false })
+});
+
 // --- Electron Main Window ---
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -333,27 +787,47 @@ function createWindow() {
 // --- System Tray ---
 function createTray() {
     tray = new Tray(appIcon);
+    updateTrayMenu();
+    tray.setToolTip('PTZ Controller');
+
+    tray.on('double-click', () => mainWindow.show());
+}
+
+// Rebuilt when remote users change (Kick User submenu)
+function updateTrayMenu() {
+    if (!tray || tray.isDestroyed()) return;
+
+    const kickItems = onlineUsersList.map(u => ({
+        label: `${u.username} (${u.role || '?'})`,
+        click: () => kickSession(u.id, 'tray')
+    }));
     const contextMenu = Menu.buildFromTemplate([
         { label: 'Open Dashboard', click: () => mainWindow.show() },
         { label: 'Open Local GUI', click: () => shell.openExternal(`http://localhost:${serverPort}`) },
         { type: 'separator' },
+        {
+            label: 'Kick User',
+            enabled: kickItems.length > 0,
+            submenu: kickItems.length > 0 ? kickItems : [{ label: 'No users', enabled: false }]
+        },
+        { type: 'separator' },
         {
             label: 'Exit', click: () => {
                 app.isQuitting = true;
-                if (roomId) stopFirebaseListener();
+                if (roomId) stopRelay();
                 app.quit();
             }
         }
     ]);
-    tray.setToolTip('PTZ Controller');
     tray.setContextMenu(contextMenu);
-
-    tray.on('double-click', () => mainWindow.show());
 }
 
 // --- Logic ---
 let onlineUsersList = [];
-let activeRoomRef = null; // Track current ref for cleanup
+let relayUsers = []; // Authorized sessions seen on the relay
+let relay = null; // Transport adapter serving the room (see relay.js)
+const SESSION_CHECK_INTERVAL = 30 * 1000; // Idle / lifetime check
+const LEASE_CHECK_INTERVAL = 2 * 1000; // Expired control leases are unpublished
 let serverLogs = [];
 
 function logBuffer(msg, type = 'info') {
@@ -365,167 +839,575 @@ function logBuffer(msg, type = 'info') {
     if (serverLogs.length > 50) serverLogs.pop();
 }
 
-async function stopFirebaseListener() {
-    if (roomId && activeRoomRef) {
+async function stopRelay() {
+    if (roomId) {
         logBuffer(`Stopping Server for Room: ${roomId}`, 'warn');
 
-        try {
-            // Remove room data to notify clients
-            // Await ensures this completes before we proceed (e.g. to quit)
-            await activeRoomRef.remove();
-
-            // Detach listeners
-            activeRoomRef.off();
-            activeRoomRef.child('request_login').off();
-            activeRoomRef.child('sessions').off();
-            activeRoomRef.child('commands').off();
-            db.ref('.info/connected').off();
-
-            logBuffer(`Room ${roomId} data removed and listeners detached.`, 'success');
-        } catch (e) {
-            console.error("Error removing room data:", e);
+        // Local-only rooms have no relay data to remove
+        if (relay) {
+            try {
+                // Remove room data to notify clients and detach listeners
+                // Await ensures this completes before we proceed (e.g. to quit)
+                await relay.disconnect();
+                logBuffer(`Room ${roomId} data removed and listeners detached.`, 'success');
+            } catch (e) {
+                console.error("Error removing room data:", e);
+            }
         }
 
-        activeRoomRef = null;
-        firebaseConnected = false;
+        relay = null;
+        relayConnected = false;
         onlineUsersList = [];
+        relayUsers = [];
 
         // Security: Clear credentials from memory
         roomId = null;
         roomPassword = null;
+        operatorPassword = null;
+        viewerPassword = null;
+        rotateSigningKey();
+        closeAllSessions('Room closed');
+        clearStreams().forEach(stream => finishStream(stream, 'Room closed', { notify: false }));
+        clearSessions();
+        clearLeases();
+        resetLockouts();
 
         updateDashboard();
     }
 }
 
-function startFirebaseListener(room) {
+// Serve a room on the configured relay transport
+// LAN control keeps working when the relay cannot connect
+function startRelay(room) {
     if (!room) return;
 
-    // Stop existing if any (safety)
-    // Note: If calling from a sync context, we might not await this, 
-    // but typically we start from API which is async-ish or handled.
-    if (activeRoomRef) {
-        // Best effort to stop previous, though usually we stop before start in UI
-        // We won't await here to keep signature simple unless we make this async too
-        // but for now, rely on API flow.
-        activeRoomRef.off();
-        activeRoomRef = null;
-    }
-
-    activeRoomRef = db.ref(`rooms/${room}`);
-
-    // 1. Register Presence
-    const deviceRef = activeRoomRef.child('devices').push();
-    const presenceRef = db.ref('.info/connected');
-    presenceRef.on('value', (snap) => {
-        if (snap.val() === true) {
-            deviceRef.onDisconnect().remove();
-            deviceRef.set({
-                type: 'controller',
-                ip: ip.address(),
-                status: 'online',
-                timestamp: admin.database.ServerValue.TIMESTAMP
-            });
-            firebaseConnected = true;
-            logBuffer("Firebase Connected", 'success');
-            updateDashboard();
-        } else {
-            firebaseConnected = false;
-            updateDashboard();
-        }
-    });
+    rotateSigningKey(); // Tokens from an earlier room are no longer accepted
 
-    // 2. Listen for Login Requests
-    const loginRef = activeRoomRef.child('request_login');
-    loginRef.on('child_added', (snapshot) => {
-        const req = snapshot.val();
-        if (!req) return;
-
-        const requestId = snapshot.key;
-        const isValid = (req.password === roomPassword);
-
-        // Write Session Result
-        if (isValid) {
-            logBuffer(`Login Approved: ${req.username || 'Unknown'}`, 'success');
-            activeRoomRef.child(`sessions/${requestId}`).set({
-                authorized: true,
-                username: req.username || 'Anonymous', // Store Name
-                timestamp: admin.database.ServerValue.TIMESTAMP
-            });
-        } else {
-            logBuffer(`Login Denied: ${requestId}`, 'warn');
-            activeRoomRef.child(`sessions/${requestId}`).set({
-                authorized: false,
-                timestamp: admin.database.ServerValue.TIMESTAMP
-            });
-        }
+    // Degraded mode: no usable relay settings
+    const status = getRelayStatus();
+    if (!status.ready) {
+        logBuffer(`Relay not configured (${status.reason}). LAN control only.`, 'warn');
+        return;
+    }
 
-        // Remove request
-        snapshot.ref.remove();
-    });
+    const { adapter, options } = getRelay();
+    relay = adapter;
 
-    // 2.5 Listen for Active Sessions (Sync Users)
-    activeRoomRef.child('sessions').on('value', (snap) => {
-        const val = snap.val();
-        onlineUsersList = [];
-        if (val) {
-            Object.keys(val).forEach(key => {
-                if (val[key].authorized) {
-                    onlineUsersList.push({
-                        id: key,
-                        username: val[key].username || 'Anonymous',
-                        timestamp: val[key].timestamp
-                    });
-                }
-            });
+    relay.connect(room, {
+        onStatus: (connected) => {
+            if (connected && !relayConnected) logBuffer(`Relay Connected (${relay.transport})`, 'success');
+            relayConnected = connected;
+            updateDashboard();
+        },
+        onLogin: handleRelayLogin,
+        onUsers: (users) => {
+            relayUsers = users;
+            refreshUsers();
+        },
+        // Session removed (only the controller removes sessions): its token stops working
+        onSessionRemoved: (sid, { authorized, expiresAt }) => {
+            if (authorized) revokeSession(sid, expiresAt);
+            const session = getSession(sid); // Still known = client left (endSession forgets it first)
+            if (session) dropSession(session, 'LOGOUT');
+        },
+        onCommand: (commandId, cmdData, now) => {
+            handleCommand(cmdData, now, fields => relay && relay.writeResult(commandId, fields));
         }
-        onlineUsers = onlineUsersList.length;
+    }, options).catch(err => {
+        logBuffer(`Relay (${adapter.transport}) unavailable: ${err.message}. LAN control only.`, 'error');
+        if (relay === adapter) relay = null;
         updateDashboard();
     });
+}
 
-    // 3. Listen for Commands
-    activeRoomRef.child('commands').on('child_added', async (snapshot) => {
-        const cmdData = snapshot.val();
-        if (!cmdData) return;
-
-        // Verify Password (Local Check)
-        if (cmdData.password === roomPassword) {
-            const user = cmdData.username || 'Unknown';
-            const action = cmdData.action;
-            const target = cmdData.target || 'ALL';
-
-            // Handle RENAME Command
-            if (action === 'RENAME') {
-                const newName = cmdData.name;
-                if (target && devices[target] && newName) {
-                    devices[target].name = newName;
-                    logBuffer(`Renamed ${target} to "${newName}"`);
+// Answer a relay login request
+// clientKey: client identity enforced by the relay (Firebase auth uid, MQTT client ID)
+function handleRelayLogin(requestId, req, clientKey) {
+    // Never overwrite a live session (request IDs are client chosen)
+    if (onlineUsersList.some(u => u.id === requestId)) {
+        logBuffer(`Login Ignored: ${requestId} already has a session`, 'warn');
+        return;
+    }
+    // Without an identity the lockout could only count against the room
+    if (!clientKey) {
+        logBuffer(`Login Ignored: ${requestId} has no client identity`, 'warn');
+        return;
+    }
+
+    const login = evaluateLogin(clientKey, 'relay', requestId, req.username, req.password, isValidLoginKey(req.loginKey));
+
+    // Write Session Result
+    if (login.approved) {
+        const session = createSession(requestId, { user: req.username || 'Anonymous', role: login.role });
+        const { token, expiresAt } = issueSessionToken(session);
+        relay.answerLogin(requestId, {
+            authorized: true,
+            username: session.user, // Store Name
+            role: login.role, // Informational; the controller's session table is authoritative
+            token: sealToken(token, req.loginKey), // Only the requesting client can open it
+            expiresAt
+        });
+    } else {
+        relay.answerLogin(requestId, { authorized: false, reason: login.reason || null });
+    }
+}
+
+// Validate and run a remote command from any transport (relay, LAN)
+// now: current time on the clock of the command's timestamp
+// reply(fields): delivers accepted / final results to the sender
+function handleCommand(cmdData, now, reply) {
+    // Verify Session Token (signature, expiry, revocation) and freshness
+    const auth = verifyCommand(cmdData, roomId, now);
+    const session = auth.valid ? getSession(auth.claims.sid) : null;
+    // Validate schema, role, camera permissions and targets
+    const check = session ? sanitizeCommand(cmdData, session, devices) : null;
+    // Cameras held by another user reject the command
+    const lease = check && check.valid ? claimCameras(check.command, session) : null;
+
+    if (!auth.valid) {
+        rejectCommand(reply, cmdData, auth.reason, 'error');
+    } else if (!session) {
+        rejectCommand(reply, cmdData, 'Unknown session', 'error');
+    } else if (!check.valid) {
+        rejectCommand(reply, cmdData, `${check.reason} (${session.user})`, 'warn', session);
+    } else if (!lease.granted) {
+        rejectCommand(reply, cmdData, `${lease.reason} (${session.user})`, 'warn', session);
+    } else {
+        const cmd = check.command;
+        const user = session.user;
+        const action = cmd.action;
+        const target = cmd.target;
+        const receivedAt = Date.now();
+
+        touchSession(session.id);
+        reply({ status: 'accepted', action });
+
+        // Handle RENAME Command
+        if (action === 'RENAME') {
+            const newName = cmd.name;
+            const done = Boolean(target && renameDevice(target, newName));
+            if (done) {
+                logBuffer(`Renamed ${target} to "${newName}"`);
+                updateDashboard();
+            }
+            finishCommand(reply, cmd, session, receivedAt, done ? {} : { error: 'Rename failed' });
+        }
+        // Handle Preset Library Commands (library only, camera untouched)
+        else if (action === 'PRESET_RENAME' || action === 'PRESET_DELETE') {
+            const number = cmd.speed;
+            try {
+                const done = action === 'PRESET_RENAME'
+                    ? updatePreset(target, number, { name: cmd.name })
+                    : deletePreset(target, number);
+                if (done) {
+                    logBuffer(`${action}: ${target} #${number} (${user})`);
                     updateDashboard();
                 }
+                finishCommand(reply, cmd, session, receivedAt, done ? {} : { error: `Preset ${number} not found` });
+            } catch (e) {
+                finishCommand(reply, cmd, session, receivedAt, { error: e.message });
             }
-            // Handle PTZ Commands
-            else {
-                logBuffer(`CMD: ${action} > ${target} (${user})`);
-
-                // Send to PTZ - DO NOT AWAIT to prevent blocking STOP commands
-                // Fire and forget, but log errors
-                sendPtzCommand(cmdData, devices).catch(err => {
+        }
+        // Handle Control Leases (taken over in claimCameras)
+        else if (action === 'TAKE_CONTROL') {
+            logBuffer(`Control of ${target} taken over by ${user}`, 'warn');
+            finishCommand(reply, cmd, session, receivedAt, {});
+        }
+        else if (action === 'RELEASE_CONTROL') {
+            publishLeases(releaseLeases(commandCameras(cmd, session), session.id));
+            finishCommand(reply, cmd, session, receivedAt, {});
+        }
+        // Handle User Management (admin)
+        else if (action === 'KICK') {
+            const done = kickSession(cmd.session, user);
+            finishCommand(reply, cmd, session, receivedAt, done ? {} : { error: 'Unknown session' });
+        }
+        else if (action === 'LOGOUT') {
+            finishCommand(reply, cmd, session, receivedAt, {});
+            dropSession(session, 'LOGOUT');
+            if (session.transport === 'lan') closeSession(session.id, 'Logged out');
+            else if (relay) relay.endSession(session.id, 'Logged out');
+            logBuffer(`Session ${user} (${session.id}) logged out`);
+        }
+        else if (action === 'SET_ACCESS') {
+            const error = !getSession(cmd.session) ? 'Unknown session' : 'Operator limit reached';
+            const done = changeAccess(cmd.session, { role: cmd.role, cameras: cmd.cameras }, user);
+            finishCommand(reply, cmd, session, receivedAt, done ? {} : { error });
+        }
+        // Handle PTZ Commands
+        else {
+            logBuffer(`CMD: ${action} > ${target} (${user})`);
+
+            // Send to PTZ - DO NOT AWAIT to prevent blocking STOP commands
+            // Fire and forget; the outcome goes back to the sender through reply()
+            // Camera-limited sessions only reach their cameras (also for 'ALL')
+            sendPtzCommand(cmd, scopedDevices(session))
+                .then(results => {
+                    finishCommand(reply, cmd, session, receivedAt, summarizeResults(results));
+                    return trackPresetResults(cmd, results);
+                })
+                .catch(err => {
                     console.error(`[PTZ] Error: ${err}`);
+                    finishCommand(reply, cmd, session, receivedAt, { error: err.message || String(err) });
                 });
-            }
-        } else {
-            logBuffer(`CMD Failed: Auth Error for ${cmdData.action}`, 'error');
         }
+    }
+}
+
+// Log a rejected command and tell the sender why
+// session is known once the token checked out
+function rejectCommand(reply, cmdData, reason, level = 'warn', session = null) {
+    const action = (cmdData && typeof cmdData.action === 'string') ? cmdData.action : null;
+    logBuffer(`CMD Rejected: ${action} - ${reason}`, level);
+    reply({ status: 'rejected', action, reason });
+    audit({
+        type: 'command',
+        user: session ? session.user : null,
+        sid: session ? session.id : null,
+        action,
+        target: (cmdData && typeof cmdData.target === 'string') ? cmdData.target : null,
+        status: 'rejected',
+        reason
+    });
+}
+
+// Report the outcome of an accepted command
+// outcome: { status, error, targets } - status defaults to executed/failed by error
+function finishCommand(reply, cmd, session, receivedAt, outcome) {
+    const action = cmd.action;
+    const status = outcome.status || (outcome.error ? 'failed' : 'executed');
+    const latency = Date.now() - receivedAt;
+    if (status !== 'executed') {
+        logBuffer(`CMD ${status}: ${action} - ${outcome.error}`, 'error');
+    }
+    reply({
+        status,
+        action,
+        error: outcome.error || null,
+        targets: outcome.targets || null,
+        latency
+    });
+    audit({
+        type: 'command',
+        user: session.user,
+        sid: session.id,
+        action,
+        target: cmd.target || cmd.session || null,
+        targets: outcome.targets ? outcome.targets.map(t => t.target) : undefined,
+        status,
+        reason: outcome.error || undefined,
+        latency
+    });
+}
+
+// Fold per-device PTZ results into one outcome
+// executed: every device answered, unreachable: no failing device answered at all
+function summarizeResults(results) {
+    if (results.length === 0) return { error: 'No target device' };
+
+    const targets = results.map(r => ({
+        target: r.target || null,
+        success: Boolean(r.success),
+        skipped: Boolean(r.skipped),
+        unreachable: Boolean(r.unreachable),
+        error: r.error || null,
+        latency: r.latency !== undefined ? r.latency : null
+    }));
+    const failed = targets.filter(t => !t.success);
+    if (failed.length === 0) return { targets };
+
+    return {
+        status: failed.every(t => t.unreachable) ? 'unreachable' : 'failed',
+        error: failed.map(t => `${t.target}: ${t.error}`).join('; '),
+        targets
+    };
+}
+
+// Cameras a camera command reaches ('ALL' = every camera of the session)
+function commandCameras(cmd, session) {
+    return cmd.target === 'ALL' ? Object.keys(scopedDevices(session)) : [cmd.target];
+}
+
+// Acquire / renew control leases for a camera command
+// TAKE_CONTROL (admin) takes cameras over from their holders
+// STOP is always allowed (safety) and does not take the lease
+function claimCameras(cmd, session) {
+    if (!isCameraAction(cmd.action) || cmd.action === 'RELEASE_CONTROL' || cmd.action === 'STOP') return { granted: true };
+
+    const result = acquireLeases(commandCameras(cmd, session), session, cmd.action === 'TAKE_CONTROL');
+    if (!result.granted) {
+        const device = devices[result.lease.deviceId];
+        const name = device ? device.name : result.lease.deviceId;
+        return { granted: false, reason: `${name} is controlled by ${result.lease.user}` };
+    }
+    publishLeases(result.changed);
+    return { granted: true };
+}
+
+// Publish lease holders on the relay (leases/<deviceId>, removed when free)
+function publishLeases(deviceIds) {
+    if (deviceIds.length === 0) return;
+    broadcastState();
+    if (!relay) return;
+
+    const update = {};
+    deviceIds.forEach(id => {
+        const lease = getLease(id);
+        update[id] = lease ? leaseEntry(lease) : null;
+    });
+    relay.publishLeases(update);
+}
+
+setInterval(() => publishLeases(expireLeases()), LEASE_CHECK_INTERVAL);
+
+function leaseEntry(lease) {
+    return { sid: lease.sid, user: lease.user, acquiredAt: lease.acquiredAt, timeout: LEASE_TIMEOUT };
+}
+
+// --- Joystick Streams (LAN, see stream.js) ---
+// Frames are validated like a PTZ_VECTOR command; the socket is already
+// authenticated, so they carry no token or nonce
+function handleStreamFrame(session, frame, reply) {
+    const current = getSession(session.id);
+    const raw = { action: 'PTZ_VECTOR', target: frame.target, vector: frame.vector, speed: frame.speed };
+    const check = current ? sanitizeCommand(raw, current, devices) : { valid: false, reason: 'Unknown session' };
+    const lease = check.valid ? claimCameras(check.command, current) : null;
+
+    if (!check.valid || !lease.granted) {
+        const reason = check.valid ? lease.reason : check.reason;
+        stopStream(session.id, reason, { notify: false });
+        return rejectCommand(reply, raw, `${reason} (${session.user})`, 'warn', current);
+    }
+
+    touchSession(current.id);
+    const { stream, started, released } = updateStream(current, check.command, commandCameras(check.command, current));
+    if (released.length > 0) stopMotion(released);
+    if (started) {
+        logBuffer(`Stream started: ${stream.command.target} (${stream.user})`);
+        audit({ type: 'stream', user: stream.user, sid: stream.sid, action: 'STREAM_START', targets: stream.deviceIds });
+        driveStream(stream);
+    }
+}
+
+// Keep a stream alive; losing the camera to another user ends it
+// without stopping the camera (the new holder is driving it)
+function handleStreamHeartbeat(session) {
+    const stream = heartbeatStream(session.id);
+    const current = getSession(session.id);
+    if (!stream || !current) return;
+
+    const lease = claimCameras(stream.command, current);
+    if (!lease.granted) {
+        endStream(session.id);
+        finishStream(stream, lease.reason, { stop: false });
+    }
+}
+
+// Replay the latest vector (hold covers one missed tick window)
+function driveStream(stream) {
+    const session = getSession(stream.sid);
+    if (!session) return;
+
+    sendPtzCommand(stream.command, scopedDevices(session), { hold: STREAM_TIMEOUT })
+        .catch(err => console.error(`[Stream] Error: ${err}`));
+}
+
+// End a session's stream (see finishStream for options)
+function stopStream(sid, reason, options) {
+    const stream = endStream(sid);
+    if (stream) finishStream(stream, reason, options);
+}
+
+// Stop the cameras of an ended stream unless another user took them over,
+// and tell the client unless it ended the stream itself
+function finishStream(stream, reason, { stop = true, notify = true } = {}) {
+    if (stop) stopMotion(stream.deviceIds);
+    logBuffer(`Stream ended: ${reason} (${stream.user})`, reason === 'Released' ? 'info' : 'warn');
+    audit({
+        type: 'stream',
+        user: stream.user,
+        sid: stream.sid,
+        action: 'STREAM_END',
+        targets: stream.deviceIds,
+        reason,
+        latency: Date.now() - stream.startedAt
+    });
+    if (notify) notifySession(stream.sid, { type: 'stream', status: 'stopped', reason });
+}
+
+setInterval(() => {
+    const { live, expired } = tickStreams();
+    expired.forEach(stream => finishStream(stream, 'Heartbeat lost'));
+    live.forEach(driveStream);
+}, STREAM_RATE);
+
+// Record a login attempt (passwords are never logged)
+function auditLogin(sid, username, status, reason = null, role = null) {
+    audit({
+        type: 'login',
+        user: username || 'Unknown',
+        sid,
+        status,
+        reason,
+        role
+    });
+}
+
+// Check a login attempt from any transport: lockout, password, operator limit
+// clientKey: who the lockout counts against, channel: 'lan' / 'relay' room counter,
+// keyValid: transport specific check (loginKey)
+// Returns { approved: true, role } or { approved: false, reason } (no reason for wrong passwords)
+function evaluateLogin(clientKey, channel, sid, username, password, keyValid = true) {
+    const name = username || 'Unknown';
+
+    // Locked out clients (or a locked room channel) are denied without checking the password
+    const guard = checkLogin(clientKey, channel);
+    if (!guard.allowed) {
+        const seconds = Math.ceil(guard.retryAfter / 1000);
+        logBuffer(`Login Blocked: ${name} (${guard.scope} locked, ${seconds}s left)`, 'warn');
+        auditLogin(sid, name, 'blocked', `${guard.scope} locked`);
+        return { approved: false, reason: `Too many failed attempts, retry in ${seconds}s` };
+    }
+
+    const role = roleForPassword(password);
+    if (role === null || !keyValid) {
+        logBuffer(`Login Denied: ${sid}`, 'warn');
+        const failure = recordFailure(clientKey, channel);
+        auditLogin(sid, name, 'denied', role ? 'Invalid login key' : 'Wrong password');
+        if (failure.lockedUntil) {
+            const seconds = Math.ceil((failure.lockedUntil - Date.now()) / 1000);
+            logBuffer(`Login Lockout: ${failure.roomFailures} failed ${channel} attempts in room, ${failure.clientFailures} from ${clientKey} (locked ${seconds}s)`, 'error');
+        }
+        updateDashboard();
+        return { approved: false, reason: null };
+    }
 
-        // Remove command after processing (Queue style)
-        snapshot.ref.remove();
+    if (!canTakeRole(role)) {
+        logBuffer(`Login Denied: ${name} - operator limit reached`, 'warn');
+        auditLogin(sid, name, 'denied', 'Operator limit reached', role);
+        return { approved: false, reason: 'Operator limit reached' };
+    }
+
+    logBuffer(`Login Approved: ${name} (${role})`, 'success');
+    recordSuccess(clientKey);
+    auditLogin(sid, name, 'approved', null, role);
+    return { approved: true, role };
+}
+
+// Token expires with the session's maximum lifetime
+function issueSessionToken(session) {
+    return issueToken({
+        sid: session.id,
+        room: roomId,
+        user: session.user
+    }, session.expiresAt - session.createdAt);
+}
+
+// Map login password to role (admin password wins if passwords repeat)
+// Every password is compared (constant time) so timing does not reveal which matched
+function roleForPassword(password) {
+    if (!password) return null;
+    const matches = {
+        admin: passwordMatches(password, roomPassword),
+        operator: passwordMatches(password, operatorPassword),
+        viewer: passwordMatches(password, viewerPassword)
+    };
+    return ROLES.slice().reverse().find(role => matches[role]) || null;
+}
+
+// Devices a session may control
+function scopedDevices(session) {
+    if (!session.cameras) return devices;
+
+    const scoped = {};
+    session.cameras.forEach(id => {
+        if (devices[id]) scoped[id] = devices[id];
     });
+    return scoped;
+}
+
+// Forget a session: token revoked, control leases released
+function dropSession(session, action, reason) {
+    stopStream(session.id, reason || action, { notify: false });
+    revokeSession(session.id, session.expiresAt);
+    removeSession(session.id);
+    publishLeases(releaseSessionLeases(session.id));
+    audit({ type: 'session', user: session.user, sid: session.id, action, reason });
+    refreshUsers();
+}
+
+// End a remote session and tell the client why
+function endSession(sid, reason) {
+    const session = getSession(sid);
+    if (!session) return false;
+
+    // Token stops working now, not when the relay confirms the removal
+    dropSession(session, 'END', reason);
+
+    if (session.transport === 'lan') {
+        closeSession(sid, reason);
+        return true;
+    }
+    if (relay) relay.endSession(sid, reason);
+    return true;
+}
 
-    // 3. Update Devices (from Auto Discovery)
-    // setInterval(() => {
-    //     // Periodically update device list in Firebase if changed
-    //     // For now, just keep alive
-    // }, 10000);
+function kickSession(sid, by = 'local') {
+    const session = getSession(sid);
+    if (!session || !endSession(sid, `Kicked by ${by}`)) return false;
+
+    logBuffer(`Session ${session.user} (${sid}) kicked by ${by}`, 'warn');
+    return true;
+}
+
+// End sessions past the idle timeout or their maximum lifetime
+function expireSessions() {
+    findExpiredSessions().forEach(({ session, reason }) => {
+        if (endSession(session.id, reason)) {
+            logBuffer(`Session ${session.user} ended: ${reason}`, 'warn');
+        }
+    });
+}
+
+setInterval(expireSessions, SESSION_CHECK_INTERVAL);
+
+// Change role / camera scope of a session and publish it to the client
+// Returns null for unknown sessions or when the operator limit is reached
+function changeAccess(sid, access, by = 'local') {
+    if (access.role && !canTakeRole(access.role, sid)) return null;
+
+    const session = setAccess(sid, access);
+    if (!session) return null;
+
+    logBuffer(`Access for ${session.user}: ${session.role}${session.cameras ? ` [${session.cameras.join(', ')}]` : ''} (by ${by})`);
+    audit({ type: 'session', user: session.user, sid, action: 'SET_ACCESS', role: session.role, targets: session.cameras || undefined, reason: `by ${by}` });
+    if (session.transport === 'lan') {
+        notifySession(sid, { type: 'session', role: session.role, cameras: session.cameras });
+        refreshUsers();
+    } else if (relay) {
+        relay.updateSession(sid, { role: session.role, cameras: session.cameras });
+    }
+    return session;
+}
+
+// Rebuild the user list: relay sessions plus LAN sessions (roles from the session table)
+function refreshUsers() {
+    const lanUsers = listSessions()
+        .filter(session => session.transport === 'lan')
+        .map(session => ({ id: session.id, username: session.user, timestamp: session.createdAt }));
+
+    onlineUsersList = [...relayUsers, ...lanUsers].map(user => {
+        const session = getSession(user.id) || {};
+        return {
+            ...user,
+            role: session.role || null,
+            cameras: session.cameras || null,
+            transport: session.transport || 'relay'
+        };
+    });
+    onlineUsers = onlineUsersList.length;
+    updateTrayMenu();
+    updateDashboard();
 }
 
 function updateDashboard() {
@@ -534,32 +1416,114 @@ function updateDashboard() {
         mainWindow.webContents.send('status-update', {
             ip: ip.address(),
             roomId,
-            connected: firebaseConnected,
+            connected: relayConnected,
             deviceCount: Object.keys(devices).length,
-            onlineUsers // To be implemented
+            onlineUsers,
+            users: onlineUsersList,
+            health: healthSummary(),
+            security: getLockoutStatus()
         });
     }
 
-    // 2. Sync Devices to Firebase (Crucial for Web App)
-    if (firebaseConnected && activeRoomRef) {
-        // Transform devices object for Firebase (remove non-serializable if any)
-        const devicesUpdate = {};
-        Object.keys(devices).forEach(key => {
-            devicesUpdate[key] = {
-                name: devices[key].name,
-                ip: devices[key].ip,
-                protocol: devices[key].protocol || 'panasonic',
-                port: devices[key].port,
-                status: 'online' // Assume online if in list
-            };
-        });
+    // 2. Sync Devices to the relay (Crucial for Web App)
+    // Each entry is replaced whole; devices deleted since the last sync are removed
+    if (relayConnected && relay) {
+        relay.syncDevices(remoteDevices());
+    }
+
+    // 3. Push to LAN clients
+    broadcastState();
+}
+
+// Devices as remote clients see them (relay devices node, LAN state)
+// Presets come from the controller's library
+function remoteDevices() {
+    const entries = {};
+    Object.keys(devices).forEach(key => {
+        entries[key] = {
+            name: devices[key].name,
+            ip: devices[key].ip || null,
+            protocol: devices[key].protocol || 'panasonic',
+            port: devices[key].port || null,
+            // UI shows only supported controls
+            capabilities: devices[key].capabilities || getStaticCapabilities(devices[key]),
+            presets: getPresets(key),
+            // Real reachability from the health monitor ('unknown' until the first probe)
+            status: getDeviceHealth(key).status,
+            lastSeen: getDeviceHealth(key).lastSeen
+        };
+    });
+    return entries;
+}
 
-        // Update specific devices node 
-        // We use 'set' to FORCE sync and remove ghosts
-        activeRoomRef.child('devices').set(devicesUpdate).catch(err => {
-            console.error("[Firebase] Sync Error:", err);
+// Count of cameras per health status (dashboard)
+function healthSummary() {
+    const summary = { online: 0, degraded: 0, offline: 0, unknown: 0 };
+    Object.keys(devices).forEach(id => {
+        summary[getDeviceHealth(id).status]++;
+    });
+    return summary;
+}
+
+// --- Device Health (see health.js) ---
+// Status changes are logged, audited and published to remote clients
+healthEvents.on('change', ({ deviceId, from, to, health }) => {
+    const name = devices[deviceId] ? devices[deviceId].name : deviceId;
+    const level = to === 'offline' ? 'error' : to === 'degraded' ? 'warn' : 'success';
+    const detail = health.error || (health.power === 'standby' ? 'standby' : health.latency !== null ? `${health.latency}ms` : '');
+    logBuffer(`Camera ${name}: ${from} -> ${to}${detail ? ` (${detail})` : ''}`, level);
+    audit({ type: 'device', action: 'STATUS', target: deviceId, status: to, reason: health.error || undefined, latency: health.latency });
+    updateDashboard();
+});
+
+healthEvents.on('down', ({ deviceId, health }) => {
+    const name = devices[deviceId] ? devices[deviceId].name : deviceId;
+    if (Notification.isSupported()) {
+        new Notification({ title: 'Camera offline', body: `${name}: ${health.error || 'No reply'}`, icon: appIcon }).show();
+    }
+});
+
+// --- Device Discovery (see discovery.js) ---
+// Registry changes from scans are logged and audited
+discoveryEvents.on('new', ({ deviceId, device }) => {
+    logBuffer(`Discovered ${device.name} (${device.protocol}) at ${device.ip}`, 'success');
+    audit({ type: 'device', action: 'DISCOVERED', target: deviceId, ip: device.ip, protocol: device.protocol });
+});
+
+discoveryEvents.on('changed', ({ deviceId, device, changes }) => {
+    const summary = Object.keys(changes).map(field => `${field} ${changes[field].from} -> ${changes[field].to}`).join(', ');
+    logBuffer(`Camera ${device.name} changed: ${summary}`, 'warn');
+    audit({ type: 'device', action: 'CHANGED', target: deviceId, changes });
+});
+
+discoveryEvents.on('gone', ({ deviceId, device, lastSeen }) => {
+    removeDevicePresets(deviceId);
+    forgetDevice(deviceId);
+    logBuffer(`Removed ${device.name}: not seen since ${new Date(lastSeen).toLocaleString()}`, 'warn');
+    audit({ type: 'device', action: 'EXPIRED', target: deviceId, ip: device.ip, lastSeen });
+    updateDashboard();
+});
+
+discoveryEvents.on('scan', ({ added, changed }) => {
+    devices = getDevices();
+    if (added || changed) updateDashboard(); // Expired devices already updated it
+});
+
+// State pushed to a LAN client; admins also get the user list
+function lanState(session) {
+    const leases = {};
+    listLeases().forEach(lease => {
+        leases[lease.deviceId] = leaseEntry(lease);
+    });
+
+    let users = null;
+    if (session && session.role === 'admin') {
+        users = {};
+        onlineUsersList.forEach(u => {
+            users[u.id] = { authorized: true, username: u.username, role: u.role, cameras: u.cameras };
         });
     }
+    return { devices: remoteDevices(), leases, users };
 }
 
 // --- App Lifecycle ---
@@ -567,8 +1531,21 @@ app.whenReady().then(() => {
     createWindow();
     createTray();
     mainWindow.show();
+    detectMissingCapabilities();
+    startHealthMonitor({ getDevices: () => devices, probe: probeDevice });
+    // Health probes count as sightings for stale-device expiry
+    startDiscovery({ lastSeen: device => getDeviceHealth(device.id).lastSeen });
 });
 
+// Registry entries saved before capability detection existed
+async function detectMissingCapabilities() {
+    const missing = Object.keys(devices).filter(id => !devices[id].capabilities);
+    if (missing.length === 0) return;
+
+    await Promise.all(missing.map(id => refreshCapabilities(id)));
+    updateDashboard();
+}
+
 app.on('window-all-closed', () => {
     // Do nothing, keep tray alive
 });
@@ -580,8 +1557,11 @@ ipcMain.on('open-gui', () => {
 ipcMain.on('hide-window', () => {
     mainWindow.hide();
 });
+ipcMain.on('kick-session', (event, sid) => {
+    kickSession(sid, 'dashboard');
+});
 ipcMain.on('quit-app', async () => {
     app.isQuitting = true;
-    if (roomId) await stopFirebaseListener();
+    if (roomId) await stopRelay();
     app.quit();
 });
@@ -0,0 +1,259 @@
+/**
+ * LAN Discovery Helpers
+ * mDNS service browsing, SSDP search and a bounded subnet sweep for
+ * cameras whose protocol has no discovery of its own (NDI, VISCA over IP).
+ * All functions resolve after their timeout; nothing stays open.
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const DEFAULT_TIMEOUT = 2000;
+const MAX_SWEEP_HOSTS = 254; // Per interface: subnets larger than /24 only sweep the /24 around our address
+
+// DNS record types
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+
+/**
+ * Encode a DNS name as length-prefixed labels
+ */
+function encodeName(name) {
+    const labels = name.split('.').filter(Boolean).map(label => {
+        const bytes = Buffer.from(label, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+/**
+ * Build a one-question DNS query
+ */
+function buildQuery(name, type) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(Math.floor(Math.random() * 0xFFFF), 0); // ID (echoed in legacy unicast replies)
+    header.writeUInt16BE(1, 4); // QDCOUNT
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(type, 0);
+    question.writeUInt16BE(1, 2); // Class IN
+    return Buffer.concat([header, encodeName(name), question]);
+}
+
+/**
+ * Read a (possibly compressed) DNS name
+ * @returns {Object} { name, offset } - offset just after the name in the record
+ */
+function readName(buf, offset) {
+    const labels = [];
+    let next = null;
+    let jumps = 0;
+
+    while (offset < buf.length) {
+        const length = buf[offset];
+        if (length === 0) {
+            offset++;
+            break;
+        }
+        if ((length & 0xC0) === 0xC0) {
+            if (++jumps > 16 || offset + 1 >= buf.length) throw new Error('Bad DNS name pointer');
+            if (next === null) next = offset + 2;
+            offset = ((length & 0x3F) << 8) | buf[offset + 1];
+            continue;
+        }
+        labels.push(buf.toString('utf8', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+    return { name: labels.join('.'), offset: next !== null ? next : offset };
+}
+
+/**
+ * Parse answer, authority and additional records of a DNS message
+ * @returns {Array} [{ name, type, data }] - data: string (PTR), { port, target } (SRV),
+ *   IPv4 string (A), array of strings (TXT); other types are skipped
+ */
+function parseRecords(buf) {
+    if (buf.length < 12) return [];
+
+    const questions = buf.readUInt16BE(4);
+    const total = buf.readUInt16BE(6) + buf.readUInt16BE(8) + buf.readUInt16BE(10);
+    let offset = 12;
+    for (let i = 0; i < questions; i++) offset = readName(buf, offset).offset + 4;
+
+    const records = [];
+    for (let i = 0; i < total && offset + 10 <= buf.length; i++) {
+        const { name, offset: afterName } = readName(buf, offset);
+        const type = buf.readUInt16BE(afterName);
+        const length = buf.readUInt16BE(afterName + 8);
+        const start = afterName + 10;
+        offset = start + length;
+        if (offset > buf.length) break;
+
+        if (type === TYPE_PTR) records.push({ name, type, data: readName(buf, start).name });
+        else if (type === TYPE_SRV) records.push({ name, type, data: { port: buf.readUInt16BE(start + 4), target: readName(buf, start + 6).name } });
+        else if (type === TYPE_A && length === 4) records.push({ name, type, data: Array.from(buf.subarray(start, start + 4)).join('.') });
+        else if (type === TYPE_TXT) {
+            const strings = [];
+            for (let p = start; p < offset; p += 1 + buf[p]) strings.push(buf.toString('utf8', p + 1, p + 1 + buf[p]));
+            records.push({ name, type, data: strings });
+        }
+    }
+    return records;
+}
+
+/**
+ * Send one datagram and collect replies until the timeout
+ * @param {Function} onMessage - (msg, rinfo) for every reply
+ */
+function collectReplies(message, address, port, timeout, onMessage) {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            socket.close();
+            resolve();
+        };
+
+        socket.on('message', (msg, rinfo) => {
+            try {
+                onMessage(msg, rinfo);
+            } catch (e) {
+                // Malformed reply from some device on the network
+            }
+        });
+        socket.on('error', (err) => {
+            console.error(`[NetScan] Socket error (${address}:${port}):`, err.message);
+            finish();
+        });
+        socket.bind(() => {
+            socket.send(message, 0, message.length, port, address);
+            setTimeout(finish, timeout);
+        });
+    });
+}
+
+/**
+ * Browse an mDNS service type (one-shot query, answered by unicast)
+ * @param {string} service - e.g. '_ndi._tcp.local'
+ * @returns {Promise<Array>} [{ instance, host, ip, port, txt }]
+ */
+async function browseMdns(service, timeout = DEFAULT_TIMEOUT) {
+    const records = [];
+    await collectReplies(buildQuery(service, TYPE_PTR), MDNS_ADDRESS, MDNS_PORT, timeout, (msg, rinfo) => {
+        parseRecords(msg).forEach(record => records.push({ ...record, from: rinfo.address }));
+    });
+
+    const find = (type, name) => records.find(r => r.type === type && r.name.toLowerCase() === name.toLowerCase());
+    const instances = new Set(records.filter(r => r.type === TYPE_PTR && r.name.toLowerCase() === service.toLowerCase()).map(r => r.data));
+
+    return Array.from(instances).map(fullName => {
+        const srv = find(TYPE_SRV, fullName);
+        const address = srv ? find(TYPE_A, srv.data.target) : null;
+        const ptr = records.find(r => r.type === TYPE_PTR && r.data === fullName);
+        const txt = find(TYPE_TXT, fullName);
+        return {
+            instance: fullName.slice(0, fullName.length - service.length - 1),
+            host: srv ? srv.data.target : null,
+            // Responders usually add the A record; otherwise the reply came from the host itself
+            ip: address ? address.data : ptr.from,
+            port: srv ? srv.data.port : null,
+            txt: txt ? txt.data : []
+        };
+    });
+}
+
+/**
+ * SSDP/UPnP search
+ * @param {string} target - Search target (ST), e.g. 'ssdp:all' or 'upnp:rootdevice'
+ * @returns {Promise<Array>} [{ ip, location, server, st, usn }] - one entry per host
+ */
+async function searchSsdp(target = 'ssdp:all', timeout = DEFAULT_TIMEOUT) {
+    const request = Buffer.from([
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'MAN: "ssdp:discover"',
+        `MX: ${Math.max(1, Math.floor(timeout / 1000) - 1)}`,
+        `ST: ${target}`,
+        '', ''
+    ].join('\r\n'));
+
+    const hosts = new Map();
+    await collectReplies(request, SSDP_ADDRESS, SSDP_PORT, timeout, (msg, rinfo) => {
+        if (hosts.has(rinfo.address)) return;
+
+        const headers = {};
+        msg.toString('utf8').split('\r\n').slice(1).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+        hosts.set(rinfo.address, { ip: rinfo.address, location: headers.location, server: headers.server, st: headers.st, usn: headers.usn });
+    });
+    return Array.from(hosts.values());
+}
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((value, octet) => (value * 256) + Number(octet), 0);
+}
+
+function intToIp(value) {
+    return [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].join('.');
+}
+
+/**
+ * Host addresses of the local IPv4 subnets (our own addresses excluded)
+ * Each interface contributes at most MAX_SWEEP_HOSTS addresses.
+ * @returns {Array} IPv4 addresses
+ */
+function subnetHosts() {
+    const own = new Set();
+    const hosts = new Set();
+
+    Object.values(os.networkInterfaces()).flat().forEach(iface => {
+        if (!iface || iface.family !== 'IPv4' || iface.internal) return;
+        own.add(iface.address);
+
+        const prefix = Math.max(Number(iface.cidr ? iface.cidr.split('/')[1] : 24), 24);
+        const size = 2 ** (32 - prefix);
+        const network = Math.floor(ipToInt(iface.address) / size) * size;
+        for (let i = 1; i < size - 1 && i <= MAX_SWEEP_HOSTS; i++) hosts.add(intToIp(network + i));
+    });
+
+    own.forEach(ip => hosts.delete(ip));
+    return Array.from(hosts);
+}
+
+/**
+ * Run an async check over items with bounded concurrency
+ * @returns {Promise<Array>} Non-null results
+ */
+async function mapLimit(items, limit, check) {
+    const results = [];
+    let index = 0;
+    const worker = async () => {
+        while (index < items.length) {
+            const item = items[index++];
+            try {
+                const result = await check(item);
+                if (result) results.push(result);
+            } catch (e) {
+                // Not a camera
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    browseMdns,
+    searchSsdp,
+    subnetHosts,
+    mapLimit
+};
@@ -0,0 +1,195 @@
+/**
+ * Preset Library
+ * Per-camera presets owned by the controller (number, name, recorded
+ * position, last recall) persisted next to the device registry
+ */
+
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./storage');
+
+const PRESETS_FILE = 'presets.json';
+const SCHEMA_VERSION = 1;
+const MAX_NAME_LENGTH = 32;
+const MAX_THUMBNAIL_LENGTH = 64 * 1024; // Small JPEG data URL or image link
+
+let presetsPath = null;
+// deviceId -> { [number]: { number, name, position, thumbnail, savedAt, lastRecalled } }
+let library = {};
+
+/**
+ * Load the preset library from disk
+ * @param {string} dataDir - Directory holding the presets file
+ */
+function initPresets(dataDir) {
+    presetsPath = path.join(dataDir, PRESETS_FILE);
+
+    try {
+        const data = readJson(presetsPath, null);
+        if (data && data.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`Presets schema v${data.schemaVersion} is newer than supported v${SCHEMA_VERSION}`);
+        }
+        library = (data && data.presets) || {};
+        console.log(`[Presets] Loaded presets for ${Object.keys(library).length} devices`);
+    } catch (e) {
+        console.error('[Presets] Load failed:', e.message);
+    }
+}
+
+/**
+ * Persist the library to disk
+ */
+function save() {
+    if (!presetsPath) return;
+
+    try {
+        writeJsonAtomic(presetsPath, {
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: Date.now(),
+            presets: library
+        });
+    } catch (e) {
+        console.error('[Presets] Save failed:', e.message);
+    }
+}
+
+/**
+ * Check a preset number against a device's capability descriptor
+ */
+function isValidPresetNumber(capabilities, number) {
+    const range = (capabilities && capabilities.presets) || { min: 1, max: 10 };
+    return Number.isInteger(number) && number >= range.min && number <= range.max;
+}
+
+/**
+ * Normalize user-supplied metadata (name, thumbnail)
+ */
+function cleanMetadata(fields) {
+    const meta = {};
+    if (typeof fields.name === 'string') {
+        meta.name = fields.name.trim().slice(0, MAX_NAME_LENGTH);
+    }
+    if (fields.thumbnail !== undefined) {
+        if (fields.thumbnail !== null && typeof fields.thumbnail !== 'string') throw new Error('Invalid thumbnail');
+        if (fields.thumbnail && fields.thumbnail.length > MAX_THUMBNAIL_LENGTH) throw new Error('Thumbnail too large');
+        meta.thumbnail = fields.thumbnail || null;
+    }
+    return meta;
+}
+
+/**
+ * Get presets of a device keyed by number
+ * @returns {Object} e.g. { 1: { number: 1, name: 'Stage', ... } }
+ */
+function getPresets(deviceId) {
+    return library[deviceId] || {};
+}
+
+/**
+ * Get presets of a device sorted by number
+ */
+function listPresets(deviceId) {
+    return Object.values(getPresets(deviceId)).sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Record a preset stored on the camera (creates or overwrites the entry)
+ * @param {Object} fields - { name, position, thumbnail }; missing name keeps the old one
+ */
+function storePreset(deviceId, number, fields = {}) {
+    const existing = getPresets(deviceId)[number] || {};
+    const meta = cleanMetadata(fields);
+
+    if (!library[deviceId]) library[deviceId] = {};
+    library[deviceId][number] = {
+        number,
+        name: meta.name || existing.name || `Preset ${number}`,
+        position: fields.position || null,
+        thumbnail: meta.thumbnail !== undefined ? meta.thumbnail : (existing.thumbnail || null),
+        savedAt: Date.now(),
+        lastRecalled: existing.lastRecalled || null
+    };
+    save();
+    return library[deviceId][number];
+}
+
+/**
+ * Edit preset metadata (name, thumbnail) without touching the camera
+ * @returns {Object|null} Updated preset, null if it does not exist
+ */
+function updatePreset(deviceId, number, fields) {
+    const preset = getPresets(deviceId)[number];
+    if (!preset) return null;
+
+    Object.assign(preset, cleanMetadata(fields));
+    if (!preset.name) preset.name = `Preset ${number}`;
+    save();
+    return preset;
+}
+
+/**
+ * Remove a preset from the library
+ * Cameras have no common "clear memory" command, so the camera keeps it.
+ */
+function deletePreset(deviceId, number) {
+    if (!getPresets(deviceId)[number]) return false;
+
+    delete library[deviceId][number];
+    if (Object.keys(library[deviceId]).length === 0) delete library[deviceId];
+    save();
+    return true;
+}
+
+/**
+ * Note that a preset was recalled
+ */
+function markRecalled(deviceId, number) {
+    const preset = getPresets(deviceId)[number];
+    if (!preset) return false;
+
+    preset.lastRecalled = Date.now();
+    save();
+    return true;
+}
+
+/**
+ * Drop all presets of a removed device
+ */
+function removeDevicePresets(deviceId) {
+    if (!library[deviceId]) return;
+
+    delete library[deviceId];
+    save();
+}
+
+/**
+ * Move a merged device's presets to the surviving device
+ * Numbers the target already uses keep the target's preset.
+ * @returns {number} Presets moved
+ */
+function mergeDevicePresets(fromId, toId) {
+    const from = library[fromId];
+    if (!from) return 0;
+
+    const to = library[toId] || {};
+    const moved = Object.keys(from).filter(number => !to[number]);
+    moved.forEach(number => {
+        to[number] = from[number];
+    });
+    library[toId] = to;
+    delete library[fromId];
+    save();
+    return moved.length;
+}
+
+module.exports = {
+    initPresets,
+    isValidPresetNumber,
+    getPresets,
+    listPresets,
+    storePreset,
+    updatePreset,
+    deletePreset,
+    markRecalled,
+    removeDevicePresets,
+    mergeDevicePresets
+};
@@ -5,10 +5,22 @@
  */
 
 const axios = require('axios');
+const { browseMdns, mapLimit } = require('../netscan');
 
 // NDI PTZ typically uses HTTP REST on port 5961 or device-specific port
 const DEFAULT_NDI_PORT = 80;
 
+// Imaging actions supported (continuous focus only; PTZOptics-style focusin/focusout)
+const IMAGING_ACTIONS = ['FOCUS_NEAR', 'FOCUS_FAR', 'FOCUS_STOP'];
+
+// Capabilities (continuous moves and presets only)
+const CAPABILITIES = {
+    presets: { count: 255, min: 0, max: 254 }, // PTZOptics posnum 0-254
+    absolutePosition: false,
+    tally: false,
+    power: false
+};
+
 /**
  * Send PTZ command to NDI device via HTTP
  * Note: NDI PTZ API varies by manufacturer
@@ -17,7 +29,7 @@ const DEFAULT_NDI_PORT = 80;
 async function sendCommand(device, action, params = 50) {
     let speed = 50;
     if (typeof params === 'object') {
-        speed = params.speed || 50;
+        speed = params.speed ?? 50;
     } else {
         speed = params;
     }
@@ -53,12 +65,25 @@ async function sendCommand(device, action, params = 50) {
             case 'STOP':
                 queryParams = { pan_speed: 0, tilt_speed: 0, zoom_speed: 0 };
                 break;
+            case 'FOCUS_NEAR':
+                queryParams = { focus_speed: -normalizedSpeed };
+                break;
+            case 'FOCUS_FAR':
+                queryParams = { focus_speed: normalizedSpeed };
+                break;
+            case 'FOCUS_STOP':
+                queryParams = { focus_speed: 0 };
+                break;
             case 'PRESET_CALL':
                 endpoint = `/ptz/preset/${speed}`;
                 break;
             case 'PRESET_SET':
                 endpoint = `/ptz/preset/${speed}/store`;
                 break;
+            case 'GOTO_ABSOLUTE':
+            case 'GET_POSITION':
+                // No standard HTTP endpoint for absolute positioning
+                return { success: false, error: 'Absolute positioning not supported over NDI HTTP' };
             default:
                 return { success: false, error: 'Unknown action' };
         }
@@ -105,6 +130,9 @@ function mapToNdiCmd(action, speed) {
         case 'ZOOM_IN': return 'zoomin';
         case 'ZOOM_OUT': return 'zoomout';
         case 'STOP': return 'ptzstop';
+        case 'FOCUS_NEAR': return 'focusin';
+        case 'FOCUS_FAR': return 'focusout';
+        case 'FOCUS_STOP': return 'focusstop';
         case 'PRESET_CALL': return `poscall&posnum=${speed}`;
         case 'PRESET_SET': return `posset&posnum=${speed}`;
         default: return 'ptzstop';
@@ -119,19 +147,115 @@ async function stop(device) {
 }
 
 /**
- * Discover NDI devices
- * Note: Full NDI discovery requires native SDK
- * This is a placeholder for HTTP-based devices
+ * Report capability descriptor
+ * The HTTP API has no capability query, so this only checks reachability
+ * @returns {Promise<Object>} Partial descriptor merged over router defaults
+ */
+async function getCapabilities(device) {
+    const port = device.port || DEFAULT_NDI_PORT;
+    await axios.get(`http://${device.ip}:${port}/`, { timeout: 2000, validateStatus: () => true });
+    return { ...CAPABILITIES, imaging: IMAGING_ACTIONS };
+}
+
+/**
+ * Cheapest liveness check: any HTTP answer from the device
+ * @returns {Promise<Object>} {} (throws if unreachable)
  */
-async function discover() {
-    console.log('[NDI] Note: Full NDI discovery requires native SDK');
-    console.log('[NDI] HTTP-based NDI devices must be manually configured');
-    return [];
+async function probe(device) {
+    const port = device.port || DEFAULT_NDI_PORT;
+    await axios.get(`http://${device.ip}:${port}/`, { timeout: 2000, validateStatus: () => true });
+    return {};
+}
+
+const NDI_SERVICE = '_ndi._tcp.local';
+const CHECK_TIMEOUT = 800;
+const CHECK_CONCURRENCY = 32;
+
+/**
+ * Read a PTZOptics-style configuration page (param.cgi?get_...)
+ * Replies are lines of key="value"
+ * @returns {Promise<Object>} key -> value
+ */
+async function readParams(device, name, timeout = 2000) {
+    const port = device.port || DEFAULT_NDI_PORT;
+    const res = await axios.get(`http://${device.ip}:${port}/cgi-bin/param.cgi?${name}`, { timeout, responseType: 'text' });
+    const params = {};
+    String(res.data).replace(/(\w+)\s*=\s*"([^"]*)"/g, (match, key, value) => {
+        params[key] = value.trim();
+    });
+    return params;
+}
+
+/**
+ * Read identity from the device and network configuration pages
+ * @returns {Promise<Object>} { model, firmware, serial, mac }
+ */
+async function identify(device) {
+    const conf = await readParams(device, 'get_device_conf');
+    const identity = {
+        model: conf.device_model || conf.devtype,
+        firmware: conf.versioninfo,
+        serial: conf.serial_num
+    };
+    try {
+        identity.mac = (await readParams(device, 'get_network_conf')).macaddress;
+    } catch (e) {
+        console.log(`[NDI] Network config unavailable for ${device.ip}: ${e.message}`);
+    }
+    return identity;
+}
+
+/**
+ * Check whether a host is a camera with PTZOptics-style HTTP control
+ * @returns {Promise<Object|null>} Device, null when the host is something else
+ */
+async function checkHost(ip, name = null) {
+    const conf = await readParams({ ip }, 'get_device_conf', CHECK_TIMEOUT);
+    if (!conf.devname && !conf.devtype && !conf.versioninfo) return null;
+
+    return {
+        ip,
+        port: DEFAULT_NDI_PORT,
+        protocol: 'ndi',
+        name: `${name || conf.devname || 'NDI Camera'} (${ip})`,
+        model: conf.device_model || conf.devtype,
+        firmware: conf.versioninfo,
+        serial: conf.serial_num
+    };
+}
+
+/**
+ * Discover NDI cameras with HTTP PTZ control
+ * Candidates are NDI sources announced over mDNS (_ndi._tcp) plus the given
+ * hosts (SSDP, subnet sweep); each is checked for the PTZOptics CGI, so NDI
+ * sources without PTZ control (e.g. software senders) are skipped.
+ * @param {Array} hosts - Extra IPv4 addresses to check
+ * @returns {Promise<Array>} Devices
+ */
+async function discover(hosts = []) {
+    const sources = await browseMdns(NDI_SERVICE);
+    console.log(`[NDI] ${sources.length} NDI sources announced over mDNS`);
+
+    // NDI source names look like "HOST (Source)"; the first source per host names the camera
+    const candidates = new Map();
+    sources.forEach(source => {
+        if (source.ip && !candidates.has(source.ip)) candidates.set(source.ip, source.instance);
+    });
+    hosts.forEach(ip => {
+        if (!candidates.has(ip)) candidates.set(ip, null);
+    });
+
+    return mapLimit(Array.from(candidates.entries()), CHECK_CONCURRENCY, ([ip, name]) => checkHost(ip, name));
 }
 
 module.exports = {
     sendCommand,
     stop,
     discover,
+    identify,
+    getCapabilities,
+    probe,
+    capabilities: CAPABILITIES,
+    imagingActions: IMAGING_ACTIONS,
     protocol: 'ndi'
 };
@@ -4,10 +4,29 @@
  */
 
 const onvif = require('node-onvif');
+const onvifSoap = require('node-onvif/lib/modules/soap');
+const url = require('url');
 
 // Cache for ONVIF device connections
 const deviceCache = new Map();
 
+// Cache for Imaging service endpoints: key -> { oxaddr, sourceToken }
+const imagingCache = new Map();
+
+// Imaging actions supported via the ONVIF Imaging service
+// (no standard one-push focus/WB trigger, no indoor/outdoor WB presets)
+const IMAGING_ACTIONS = [
+    'FOCUS_NEAR', 'FOCUS_FAR', 'FOCUS_STOP', 'FOCUS_AUTO', 'FOCUS_MANUAL',
+    'IRIS_OPEN', 'IRIS_CLOSE', 'IRIS_AUTO', 'IRIS_MANUAL',
+    'GAIN_UP', 'GAIN_DOWN', 'SHUTTER_UP', 'SHUTTER_DOWN',
+    'WB_MODE'
+];
+
+const IMAGING_NAMESPACES = [
+    'xmlns:timg="http://www.onvif.org/ver20/imaging/wsdl"',
+    'xmlns:tt="http://www.onvif.org/ver10/schema"'
+];
+
 /**
  * Get or create ONVIF device connection
  */
@@ -44,10 +63,14 @@ async function getDevice(deviceInfo) {
 async function sendCommand(deviceInfo, action, params = 50) {
     let speed = 50;
     let vector = null;
+    let position = null;
+    let value = null;
 
     if (typeof params === 'object') {
-        speed = params.speed || 50;
+        speed = params.speed ?? 50;
         vector = params.vector || null;
+        position = params.position || null;
+        value = params.value || null;
     } else {
         speed = params;
     }
@@ -59,6 +82,32 @@ async function sendCommand(deviceInfo, action, params = 50) {
         // Normalize speed to 0.0 to 1.0 range
         const normalizedSpeed = (speed) / 100.0;
 
+        // Imaging Service (focus/exposure/white balance)
+        if (IMAGING_ACTIONS.includes(action)) {
+            await sendImagingCommand(deviceInfo, device, action, normalizedSpeed, value);
+            console.log(`[ONVIF] Sent ${action} to ${deviceInfo.ip}`);
+            return { success: true };
+        }
+
+        // Absolute Positioning
+        if (action === 'GET_POSITION') {
+            return { success: true, position: await getPosition(device, profileToken) };
+        }
+        if (action === 'GOTO_ABSOLUTE') {
+            if (!position) return { success: false, error: 'Missing position' };
+
+            // AbsoluteMove needs all axes; fill omitted ones from current status
+            const current = await getPosition(device, profileToken);
+            const target = { ...current, ...position };
+            await device.services.ptz.absoluteMove({
+                ProfileToken: profileToken,
+                Position: { x: target.pan, y: target.tilt, z: target.zoom },
+                Speed: { x: normalizedSpeed, y: normalizedSpeed, z: normalizedSpeed }
+            });
+            console.log(`[ONVIF] AbsoluteMove ${deviceInfo.ip} -> P:${target.pan} T:${target.tilt} Z:${target.zoom}`);
+            return { success: true, position: target };
+        }
+
         let ptzParams = {
             ProfileToken: profileToken,
             Velocity: { x: 0, y: 0, z: 0 }
@@ -121,6 +170,210 @@ async function sendCommand(deviceInfo, action, params = 50) {
     }
 }
 
+/**
+ * Read current position via PTZ GetStatus
+ * ONVIF generic spaces already match the normalized ranges
+ * @returns {Object} { pan: -1..1, tilt: -1..1, zoom: 0..1 }
+ */
+async function getPosition(device, profileToken) {
+    const result = await device.services.ptz.getStatus({ ProfileToken: profileToken });
+    const status = result.data.GetStatusResponse.PTZStatus || {};
+    const pos = status.Position || {};
+    const panTilt = (pos.PanTilt && pos.PanTilt.$) || {};
+    const zoom = (pos.Zoom && pos.Zoom.$) || {};
+
+    return {
+        pan: parseFloat(panTilt.x) || 0,
+        tilt: parseFloat(panTilt.y) || 0,
+        zoom: parseFloat(zoom.x) || 0
+    };
+}
+
+/**
+ * Report capability descriptor from the PTZ node (GetNodes)
+ * Ranges come from the node's absolute position spaces when advertised.
+ * @returns {Promise<Object>} Partial descriptor merged over router defaults
+ */
+async function getCapabilities(deviceInfo) {
+    const device = await getDevice(deviceInfo);
+    const caps = { tally: false, power: false };
+
+    let node = null;
+    try {
+        const result = await device.services.ptz.getNodes();
+        node = result.data.GetNodesResponse.PTZNode;
+        if (Array.isArray(node)) node = node[0];
+    } catch (error) {
+        // No PTZ service: fixed camera
+        console.warn(`[ONVIF] GetNodes failed for ${deviceInfo.ip}:`, error.message);
+    }
+
+    if (node) {
+        const spaces = node.SupportedPTZSpaces || {};
+        const panTiltSpace = spaces.AbsolutePanTiltPositionSpace;
+        const zoomSpace = spaces.AbsoluteZoomPositionSpace;
+        const maxPresets = parseInt(node.MaximumNumberOfPresets, 10) || 0;
+
+        caps.panTilt = !!(spaces.ContinuousPanTiltVelocitySpace || panTiltSpace);
+        caps.zoom = !!(spaces.ContinuousZoomVelocitySpace || zoomSpace);
+        caps.absolutePosition = !!panTiltSpace;
+        caps.presets = { count: maxPresets, min: 1, max: maxPresets };
+        caps.ranges = {
+            pan: spaceRange(panTiltSpace, 'XRange', -1, 1),
+            tilt: spaceRange(panTiltSpace, 'YRange', -1, 1),
+            zoom: spaceRange(zoomSpace, 'XRange', 0, 1)
+        };
+    } else {
+        caps.panTilt = false;
+        caps.zoom = false;
+        caps.absolutePosition = false;
+        caps.presets = { count: 0, min: 0, max: 0 };
+    }
+
+    try {
+        await getImaging(deviceInfo, device);
+        caps.imaging = IMAGING_ACTIONS;
+    } catch (error) {
+        caps.imaging = [];
+    }
+    return caps;
+}
+
+/**
+ * Read { min, max } from a PTZ space range, e.g. space.XRange.Min
+ */
+function spaceRange(space, rangeName, min, max) {
+    if (Array.isArray(space)) space = space[0];
+    const range = space && space[rangeName];
+    if (!range) return { min, max };
+
+    const rangeMin = parseFloat(range.Min);
+    const rangeMax = parseFloat(range.Max);
+    return {
+        min: isNaN(rangeMin) ? min : rangeMin,
+        max: isNaN(rangeMax) ? max : rangeMax
+    };
+}
+
+/**
+ * Resolve Imaging service address and video source token
+ */
+async function getImaging(deviceInfo, device) {
+    const key = `${deviceInfo.ip}:${deviceInfo.port || 80}`;
+    if (imagingCache.has(key)) return imagingCache.get(key);
+
+    const caps = await device.services.device.getCapabilities();
+    const imaging = caps.data.GetCapabilitiesResponse.Capabilities.Imaging;
+    if (!imaging || !imaging.XAddr) throw new Error('Imaging service not available');
+
+    const sources = await device.services.media.getVideoSources();
+    let source = sources.data.GetVideoSourcesResponse.VideoSources;
+    if (Array.isArray(source)) source = source[0];
+
+    const oxaddr = url.parse(device._getXaddr(imaging.XAddr));
+    if (device.user) oxaddr.auth = `${device.user}:${device.pass}`;
+
+    const info = { oxaddr, sourceToken: source.$.token };
+    imagingCache.set(key, info);
+    return info;
+}
+
+/**
+ * Send Imaging service SOAP request
+ */
+function imagingRequest(device, imaging, method, body) {
+    const soap = onvifSoap.createRequestSoap({
+        body: `<timg:${method}><timg:VideoSourceToken>${imaging.sourceToken}</timg:VideoSourceToken>${body}</timg:${method}>`,
+        xmlns: IMAGING_NAMESPACES,
+        diff: device.time_diff,
+        user: device.user,
+        pass: device.pass
+    });
+    return onvifSoap.requestCommand(imaging.oxaddr, method, soap);
+}
+
+/**
+ * Apply ImagingSettings fragment (e.g. '<tt:Focus>...</tt:Focus>')
+ */
+function setImagingSettings(device, imaging, settings) {
+    return imagingRequest(device, imaging, 'SetImagingSettings',
+        `<timg:ImagingSettings>${settings}</timg:ImagingSettings><timg:ForcePersistence>true</timg:ForcePersistence>`);
+}
+
+/**
+ * Step a manual exposure value (Iris/Gain/ExposureTime) from its current setting
+ */
+async function stepExposure(device, imaging, field, step) {
+    const result = await imagingRequest(device, imaging, 'GetImagingSettings', '');
+    const exposure = result.data.GetImagingSettingsResponse.ImagingSettings.Exposure || {};
+    const current = parseFloat(exposure[field]) || 0;
+    const next = field === 'ExposureTime' ? current * step : current + step;
+
+    await setImagingSettings(device, imaging,
+        `<tt:Exposure><tt:Mode>MANUAL</tt:Mode><tt:${field}>${next}</tt:${field}></tt:Exposure>`);
+}
+
+/**
+ * Execute focus/iris/gain/shutter/white balance action via Imaging service
+ * Step units follow the camera's own ranges (iris/gain in dB, shutter in µs).
+ */
+async function sendImagingCommand(deviceInfo, device, action, normalizedSpeed, value) {
+    const imaging = await getImaging(deviceInfo, device);
+
+    switch (action) {
+        case 'FOCUS_NEAR':
+        case 'FOCUS_FAR': {
+            const focusSpeed = action === 'FOCUS_NEAR' ? -normalizedSpeed : normalizedSpeed;
+            return imagingRequest(device, imaging, 'Move',
+                `<timg:Focus><tt:Continuous><tt:Speed>${focusSpeed}</tt:Speed></tt:Continuous></timg:Focus>`);
+        }
+        case 'FOCUS_STOP':
+            return imagingRequest(device, imaging, 'Stop', '');
+        case 'FOCUS_AUTO':
+            return setImagingSettings(device, imaging, '<tt:Focus><tt:AutoFocusMode>AUTO</tt:AutoFocusMode></tt:Focus>');
+        case 'FOCUS_MANUAL':
+            return setImagingSettings(device, imaging, '<tt:Focus><tt:AutoFocusMode>MANUAL</tt:AutoFocusMode></tt:Focus>');
+        case 'IRIS_AUTO':
+            return setImagingSettings(device, imaging, '<tt:Exposure><tt:Mode>AUTO</tt:Mode></tt:Exposure>');
+        case 'IRIS_MANUAL':
+            return setImagingSettings(device, imaging, '<tt:Exposure><tt:Mode>MANUAL</tt:Mode></tt:Exposure>');
+        case 'IRIS_OPEN':
+            return stepExposure(device, imaging, 'Iris', 1);
+        case 'IRIS_CLOSE':
+            return stepExposure(device, imaging, 'Iris', -1);
+        case 'GAIN_UP':
+            return stepExposure(device, imaging, 'Gain', 1);
+        case 'GAIN_DOWN':
+            return stepExposure(device, imaging, 'Gain', -1);
+        case 'SHUTTER_UP':
+            // Faster shutter = shorter exposure time
+            return stepExposure(device, imaging, 'ExposureTime', 0.5);
+        case 'SHUTTER_DOWN':
+            return stepExposure(device, imaging, 'ExposureTime', 2);
+        case 'WB_MODE': {
+            const mode = { auto: 'AUTO', atw: 'AUTO', manual: 'MANUAL' }[value];
+            if (!mode) throw new Error(`White balance mode not supported over ONVIF: ${value}`);
+            return setImagingSettings(device, imaging, `<tt:WhiteBalance><tt:Mode>${mode}</tt:Mode></tt:WhiteBalance>`);
+        }
+    }
+}
+
+/**
+ * Cheapest liveness check: GetSystemDateAndTime (needs no authentication)
+ * A failed check drops the cached connection so the next command reconnects.
+ * @returns {Promise<Object>} {} (throws if unreachable)
+ */
+async function probe(deviceInfo) {
+    const device = await getDevice(deviceInfo);
+    try {
+        await device.services.device.getSystemDateAndTime();
+        return {};
+    } catch (error) {
+        deviceCache.delete(`${deviceInfo.ip}:${deviceInfo.port || 80}`);
+        throw error;
+    }
+}
+
 /**
  * Stop all movement
  */
@@ -135,6 +388,32 @@ async function stop(deviceInfo) {
     }
 }
 
+/**
+ * Read identity: GetDeviceInformation (vendor, model, firmware, serial)
+ * and the MAC address of the first network interface
+ * @returns {Promise<Object>} { vendor, model, firmware, serial, mac }
+ */
+async function identify(deviceInfo) {
+    const device = await getDevice(deviceInfo);
+    const info = device.getInformation() || {};
+    const identity = {
+        vendor: info.Manufacturer,
+        model: info.Model,
+        firmware: info.FirmwareVersion,
+        serial: info.SerialNumber
+    };
+
+    try {
+        const result = await device.services.device.getNetworkInterfaces();
+        let iface = result.data.GetNetworkInterfacesResponse.NetworkInterfaces;
+        if (Array.isArray(iface)) iface = iface[0];
+        if (iface && iface.Info) identity.mac = iface.Info.HwAddress;
+    } catch (error) {
+        console.warn(`[ONVIF] GetNetworkInterfaces failed for ${deviceInfo.ip}:`, error.message);
+    }
+    return identity;
+}
+
 /**
  * Discover ONVIF devices on network
  */
@@ -149,7 +428,7 @@ async function discover() {
             port: parseInt(new URL(info.xaddrs[0]).port) || 80,
             protocol: 'onvif',
             name: info.name || `ONVIF (${new URL(info.xaddrs[0]).hostname})`,
-            mac: info.urn ? info.urn.split(':').pop() : new URL(info.xaddrs[0]).hostname.replace(/\./g, ''),
+            endpoint: info.urn, // WS-Discovery endpoint reference (stable device UUID)
             xaddr: info.xaddrs[0]
         }));
 
@@ -166,5 +445,10 @@ module.exports = {
     sendCommand,
     stop,
     discover,
+    identify,
+    getCapabilities,
+    probe,
+    capabilities: { tally: false, power: false },
+    imagingActions: IMAGING_ACTIONS,
     protocol: 'onvif'
 };
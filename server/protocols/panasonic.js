@@ -22,14 +22,43 @@ let lastCmds = {}; // Store last command per IP for deduplication
 async function sendCommand(device, action, params = 50) {
     let speed = 50;
     let vector = null;
+    let position = null;
 
     if (typeof params === 'object') {
-        speed = params.speed || 50;
+        speed = params.speed ?? 50;
         vector = params.vector || null; // {x, y}
+        position = params.position || null; // {pan, tilt, zoom}
     } else {
         speed = params;
     }
 
+    // Imaging (focus/iris/gain/white balance)
+    if (IMAGING_ACTIONS.includes(action)) {
+        try {
+            await sendImagingCommand(device, action, speed, params.value);
+            return { success: true };
+        } catch (error) {
+            console.error(`[Panasonic] ${action} error for ${device.ip}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Absolute Positioning (queries bypass deduplication)
+    if (action === 'GET_POSITION' || action === 'GOTO_ABSOLUTE') {
+        try {
+            if (action === 'GET_POSITION') {
+                return { success: true, position: await getPosition(device) };
+            }
+            if (!position) return { success: false, error: 'Missing position' };
+            delete lastCmds[device.ip]; // Allow the next move/stop after the goto
+            await gotoPosition(device, position, speed);
+            return { success: true };
+        } catch (error) {
+            console.error(`[Panasonic] ${action} error for ${device.ip}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Debug Log
     if (action === 'PTZ_VECTOR') {
         if (vector) console.log(`[Panasonic] VECTOR: x=${vector.x.toFixed(2)}, y=${vector.y.toFixed(2)}, s=${speed}`);
@@ -40,8 +69,9 @@ async function sendCommand(device, action, params = 50) {
 
     // Deduplication: If same as last command for this IP, skip
     // We append device.ip to key to separate cameras
+    // Preset store / recall always run (the camera may have moved since)
     const key = device.ip;
-    if (lastCmds[key] === cgiParams) {
+    if (lastCmds[key] === cgiParams && !action.startsWith('PRESET_')) {
         // console.log(`[Panasonic] Skipping duplicate cmd for ${key}`);
         return { success: true, skipped: true };
     }
@@ -60,6 +90,192 @@ async function sendCommand(device, action, params = 50) {
     }
 }
 
+// Absolute position ranges (AW CGI)
+const PT_CENTER = 0x8000;   // #APC pan/tilt center
+const PT_HALF_RANGE = 0x7FFF;
+const ZOOM_WIDE = 0x555;    // #AXZ / #GZ wide end
+const ZOOM_TELE = 0xFFF;    // #AXZ / #GZ tele end
+const APS_MAX_SPEED = 0x1D; // #APS speed 01-1D
+
+/**
+ * Send CGI query and return the raw response text (e.g. "aPC80008000")
+ */
+async function queryCgi(device, cmd) {
+    const url = `http://${device.ip}/cgi-bin/aw_ptz?cmd=%23${cmd}&res=1`;
+    const res = await axios.get(url, { timeout: 1000, responseType: 'text' });
+    return String(res.data).trim();
+}
+
+/**
+ * Read current position (#APC pan/tilt, #GZ zoom)
+ * @returns {Object} { pan: -1..1, tilt: -1..1, zoom: 0..1 }
+ */
+async function getPosition(device) {
+    const ptReply = await queryCgi(device, 'APC');
+    const ptMatch = ptReply.match(/^aPC([0-9A-Fa-f]{4})([0-9A-Fa-f]{4})/);
+    if (!ptMatch) throw new Error(`Unexpected #APC reply: ${ptReply}`);
+
+    const zReply = await queryCgi(device, 'GZ');
+    const zMatch = zReply.match(/^gz([0-9A-Fa-f]{3})/);
+    if (!zMatch) throw new Error(`Unexpected #GZ reply: ${zReply}`);
+
+    const pan = parseInt(ptMatch[1], 16);
+    const tilt = parseInt(ptMatch[2], 16);
+    const zoom = parseInt(zMatch[1], 16);
+
+    return {
+        pan: clamp((pan - PT_CENTER) / PT_HALF_RANGE, -1, 1),
+        tilt: clamp((tilt - PT_CENTER) / PT_HALF_RANGE, -1, 1),
+        zoom: clamp((zoom - ZOOM_WIDE) / (ZOOM_TELE - ZOOM_WIDE), 0, 1),
+        raw: { pan, tilt, zoom }
+    };
+}
+
+/**
+ * Move to absolute position (#APS pan/tilt with speed, #AXZ zoom)
+ * Omitted axes keep their current value.
+ */
+async function gotoPosition(device, position, speed) {
+    if (position.pan !== undefined || position.tilt !== undefined) {
+        let { pan, tilt } = position;
+        if (pan === undefined || tilt === undefined) {
+            const current = await getPosition(device);
+            if (pan === undefined) pan = current.pan;
+            if (tilt === undefined) tilt = current.tilt;
+        }
+        const panVal = Math.round(PT_CENTER + clamp(pan, -1, 1) * PT_HALF_RANGE);
+        const tiltVal = Math.round(PT_CENTER + clamp(tilt, -1, 1) * PT_HALF_RANGE);
+        const apsSpeed = clamp(Math.round((speed / 100) * APS_MAX_SPEED), 1, APS_MAX_SPEED);
+        // Last digit selects speed table (2 = fast)
+        await queryCgi(device, `APS${hex(panVal, 4)}${hex(tiltVal, 4)}${hex(apsSpeed, 2)}2`);
+    }
+
+    if (position.zoom !== undefined) {
+        const zoomVal = Math.round(ZOOM_WIDE + clamp(position.zoom, 0, 1) * (ZOOM_TELE - ZOOM_WIDE));
+        await queryCgi(device, `AXZ${hex(zoomVal, 3)}`);
+    }
+
+    console.log(`[Panasonic] Goto ${device.ip} -> ${JSON.stringify(position)}`);
+}
+
+// Imaging actions supported over AW CGI (no shutter step command)
+const IMAGING_ACTIONS = [
+    'FOCUS_NEAR', 'FOCUS_FAR', 'FOCUS_STOP', 'FOCUS_AUTO', 'FOCUS_MANUAL', 'FOCUS_ONE_PUSH',
+    'IRIS_OPEN', 'IRIS_CLOSE', 'IRIS_AUTO', 'IRIS_MANUAL',
+    'GAIN_UP', 'GAIN_DOWN',
+    'WB_MODE', 'WB_ONE_PUSH'
+];
+
+// OAW white balance modes
+const WB_MODES = {
+    auto: '0',    // ATW
+    atw: '0',
+    onepush: '1', // AWB A memory
+    indoor: '4',  // 3200K
+    outdoor: '5', // 5600K
+    manual: '9'   // VAR
+};
+
+const IRIS_MIN = 0x555; // #AXI close end
+const IRIS_MAX = 0xFFF; // #AXI open end
+const IRIS_STEP = 0x40;
+const GAIN_MIN = 0x08;  // OGU 0dB
+const GAIN_MAX = 0x38;  // OGU 48dB
+const GAIN_AUTO = 0x80; // OGU AGC
+
+/**
+ * Send camera-control CGI (aw_cam) and return the reply text (e.g. "OAF:1")
+ */
+async function queryCam(device, cmd) {
+    const url = `http://${device.ip}/cgi-bin/aw_cam?cmd=${encodeURIComponent(cmd)}&res=1`;
+    const res = await axios.get(url, { timeout: 1000, responseType: 'text' });
+    const reply = String(res.data).trim();
+    if (reply.startsWith('ER')) throw new Error(`Camera rejected ${cmd}: ${reply}`);
+    return reply;
+}
+
+/**
+ * Execute focus/iris/gain/white balance action
+ */
+async function sendImagingCommand(device, action, speed, value) {
+    const delta = Math.max(1, Math.round((speed / 100) * MAX_DELTA));
+
+    switch (action) {
+        case 'FOCUS_NEAR':
+            return queryCgi(device, `F${pad(BASE_VAL - delta)}`);
+        case 'FOCUS_FAR':
+            return queryCgi(device, `F${pad(BASE_VAL + delta)}`);
+        case 'FOCUS_STOP':
+            return queryCgi(device, `F${BASE_VAL}`);
+        case 'FOCUS_AUTO':
+            return queryCam(device, 'OAF:1');
+        case 'FOCUS_MANUAL':
+            return queryCam(device, 'OAF:0');
+        case 'FOCUS_ONE_PUSH':
+            return queryCam(device, 'OSE:69:1');
+        case 'IRIS_AUTO':
+            return queryCgi(device, 'D31');
+        case 'IRIS_MANUAL':
+            return queryCgi(device, 'D30');
+        case 'IRIS_OPEN':
+        case 'IRIS_CLOSE': {
+            // #GI reply: giXXXY (XXX = iris position, Y = auto flag)
+            const reply = await queryCgi(device, 'GI');
+            const match = reply.match(/^gi([0-9A-Fa-f]{3})/);
+            if (!match) throw new Error(`Unexpected #GI reply: ${reply}`);
+            const step = action === 'IRIS_OPEN' ? IRIS_STEP : -IRIS_STEP;
+            const iris = clamp(parseInt(match[1], 16) + step, IRIS_MIN, IRIS_MAX);
+            return queryCgi(device, `AXI${hex(iris, 3)}`);
+        }
+        case 'GAIN_UP':
+        case 'GAIN_DOWN': {
+            // QGU reply: OGU:xx (hex); leaving AGC starts from 0dB
+            const reply = await queryCam(device, 'QGU');
+            let gain = parseInt(reply.split(':')[1], 16);
+            if (isNaN(gain) || gain === GAIN_AUTO) gain = GAIN_MIN;
+            else gain = clamp(gain + (action === 'GAIN_UP' ? 1 : -1), GAIN_MIN, GAIN_MAX);
+            return queryCam(device, `OGU:${hex(gain, 2)}`);
+        }
+        case 'WB_MODE':
+            if (WB_MODES[value] === undefined) throw new Error(`Unknown white balance mode: ${value}`);
+            return queryCam(device, `OAW:${WB_MODES[value]}`);
+        case 'WB_ONE_PUSH':
+            return queryCam(device, 'OWS');
+    }
+}
+
+// Capabilities common to the AW CGI range
+const CAPABILITIES = {
+    presets: { count: 100, min: 0, max: 99 }, // R00-R99 / M00-M99
+    absolutePosition: true,                   // #APS / #AXZ
+    tally: true,                              // TLR (red tally)
+    power: true                               // #O1 / #O0
+};
+
+/**
+ * Report capability descriptor (model read live via QID)
+ * @returns {Promise<Object>} Partial descriptor merged over router defaults
+ */
+async function getCapabilities(device) {
+    const caps = { ...CAPABILITIES, imaging: IMAGING_ACTIONS };
+
+    // QID reply: OID:AW-UE150
+    const reply = await queryCam(device, 'QID');
+    const model = reply.split(':')[1];
+    if (model) caps.model = model;
+    return caps;
+}
+
+/**
+ * Cheapest liveness check: power state query (#O)
+ * @returns {Promise<Object>} { power: 'on' | 'standby' } (throws if unreachable)
+ */
+async function probe(device) {
+    const reply = await queryCgi(device, 'O');
+    if (!/^p[01]/.test(reply)) throw new Error(`Unexpected #O reply: ${reply}`);
+    return { power: reply[1] === '1' ? 'on' : 'standby' };
+}
+
 /**
  * Stop all movement on Panasonic camera
  */
@@ -163,43 +379,176 @@ function clamp(num, min, max) {
     return Math.min(Math.max(num, min), max);
 }
 
+function hex(num, width) {
+    return num.toString(16).toUpperCase().padStart(width, '0');
+}
+
+/**
+ * Easy IP Setup discovery (the protocol of Panasonic's "Easy IP Setup Software")
+ * The search request is broadcast to UDP EASY_IP_CAMERA_PORT; cameras answer to
+ * EASY_IP_CLIENT_PORT (both ports are listed in Panasonic's port documentation).
+ * The reply layout is not published. The expected layout is:
+ *   0  u16 version (0x0001)      2  u16 length     4  u16 command (0x000e reply)
+ *   6  MAC (6 bytes)             12 IPv4 address   16 subnet mask
+ *   20 default gateway           24 u16 HTTP port  26 u8 DHCP (1 = on)
+ *   32 model   64 serial   96 firmware   128 camera title (32 bytes ASCII, NUL padded)
+ * Finding a camera does not depend on it: every sender answering the search is
+ * a candidate, confirmed and identified over the documented aw_cam CGI (QID).
+ * The fields above are only taken from replies that match the layout exactly
+ * (reply command, length field equal to the datagram size, IPv4 address equal
+ * to the sender); other replies are logged with a hex dump.
+ */
+const EASY_IP_CAMERA_PORT = 10670;
+const EASY_IP_CLIENT_PORT = 10669;
+const EASY_IP_VERSION = 0x0001;
+const EASY_IP_SEARCH = 0x000d;
+const EASY_IP_REPLY = 0x000e;
+const EASY_IP_REPLY_LENGTH = 160;
+const DISCOVERY_TIMEOUT = 3000;
+
+/**
+ * Build the search request (version, length, command, zero MAC = all cameras)
+ */
+function buildSearchRequest() {
+    const request = Buffer.alloc(32);
+    request.writeUInt16BE(EASY_IP_VERSION, 0);
+    request.writeUInt16BE(request.length, 2);
+    request.writeUInt16BE(EASY_IP_SEARCH, 4);
+    return request;
+}
+
+function readText(buffer, offset) {
+    return buffer.toString('ascii', offset, offset + 32).replace(/\0.*$/s, '').trim();
+}
+
+function readIp(buffer, offset) {
+    return Array.from(buffer.subarray(offset, offset + 4)).join('.');
+}
+
+/**
+ * Parse a search reply
+ * @param {Buffer} msg - UDP payload
+ * @param {string} sender - Source address of the datagram
+ * @returns {Object} { ip, matched } plus, when the reply matches the expected layout
+ *   (matched: true), { mac, netmask, gateway, httpPort, dhcp, model, serial, firmware, title }
+ */
+function parseSearchReply(msg, sender) {
+    const unmatched = { ip: sender, matched: false };
+    if (msg.length < EASY_IP_REPLY_LENGTH) return unmatched;
+    if (msg.readUInt16BE(0) !== EASY_IP_VERSION || msg.readUInt16BE(4) !== EASY_IP_REPLY) return unmatched;
+    if (msg.readUInt16BE(2) !== msg.length) return unmatched;
+    if (readIp(msg, 12) !== sender) return unmatched;
+
+    const macBytes = msg.subarray(6, 12);
+    if (macBytes.every(b => b === 0) || macBytes.every(b => b === 0xFF)) return unmatched;
+
+    return {
+        ip: sender,
+        matched: true,
+        mac: macBytes.toString('hex'),
+        netmask: readIp(msg, 16),
+        gateway: readIp(msg, 20),
+        httpPort: msg.readUInt16BE(24) || 80,
+        dhcp: msg[26] === 1,
+        model: readText(msg, 32),
+        serial: readText(msg, 64),
+        firmware: readText(msg, 96),
+        title: readText(msg, 128)
+    };
+}
+
 /**
- * Discover Panasonic cameras on network
+ * Read identity over HTTP (QID model, QSV firmware)
+ * MAC and serial number are only reported by the Easy IP Setup reply.
+ * @returns {Promise<Object>} { vendor, model, firmware } (fields the camera did not answer are missing)
+ */
+async function identify(device) {
+    const identity = { vendor: 'Panasonic' };
+    try {
+        identity.model = (await queryCam(device, 'QID')).split(':')[1];
+        identity.firmware = (await queryCam(device, 'QSV')).split(':')[1];
+    } catch (e) {
+        console.log(`[Panasonic] Identity query failed for ${device.ip}: ${e.message}`);
+    }
+    return identity;
+}
+
+/**
+ * Discover Panasonic cameras on network (Easy IP Setup search)
+ * Every host answering the search counts once it answers the QID query;
+ * replies matching the expected layout also supply MAC, serial and network settings.
  */
 async function discover() {
     const dgram = require('dgram');
-    const devices = [];
+    const replies = new Map(); // ip -> parsed reply
 
-    return new Promise((resolve) => {
-        const socket = dgram.createSocket('udp4');
-        const PANASONIC_PORT = 52380;
-        const DISCOVERY_MSG = Buffer.from([0x00, 0x00, 0x00, 0x00]);
+    await new Promise((resolve) => {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            socket.close();
+            resolve();
+        };
 
         socket.on('message', (msg, rinfo) => {
-            devices.push({
-                ip: rinfo.address,
-                port: 80,
-                protocol: 'panasonic',
-                name: `Panasonic (${rinfo.address})`,
-                mac: rinfo.address.replace(/\./g, '')
-            });
+            const reply = parseSearchReply(msg, rinfo.address);
+            if (!reply.matched) {
+                console.warn(`[Panasonic] Easy IP reply from ${rinfo.address} has an unknown layout (${msg.length} bytes): ${msg.subarray(0, 64).toString('hex')}`);
+            }
+            const previous = replies.get(reply.ip);
+            if (!previous || (!previous.matched && reply.matched)) replies.set(reply.ip, reply);
+        });
+        socket.on('error', (err) => {
+            console.error('[Panasonic] Discovery socket error:', err.message);
+            finish();
         });
 
-        socket.bind(() => {
+        socket.bind(EASY_IP_CLIENT_PORT, () => {
             socket.setBroadcast(true);
-            socket.send(DISCOVERY_MSG, 0, DISCOVERY_MSG.length, PANASONIC_PORT, '255.255.255.255');
+            const request = buildSearchRequest();
+            socket.send(request, 0, request.length, EASY_IP_CAMERA_PORT, '255.255.255.255');
 
-            setTimeout(() => {
-                socket.close();
-                resolve(devices);
-            }, 3000);
+            setTimeout(finish, DISCOVERY_TIMEOUT);
         });
     });
+
+    const devices = await Promise.all(Array.from(replies.values()).map(async (info) => {
+        const ip = info.ip;
+        const port = info.matched ? info.httpPort : 80;
+        const identity = info.model && info.firmware ? {} : await identify({ ip, port });
+        const model = info.model || identity.model;
+        if (!info.matched && !model) {
+            console.log(`[Panasonic] ${ip} answered the Easy IP search but not the QID query, skipped`);
+            return null;
+        }
+
+        return {
+            ip,
+            port,
+            protocol: 'panasonic',
+            name: model ? `Panasonic ${model} (${ip})` : `Panasonic (${ip})`,
+            mac: info.mac,
+            vendor: 'Panasonic',
+            model,
+            serial: info.serial || undefined,
+            firmware: info.firmware || identity.firmware,
+            network: info.matched ? { netmask: info.netmask, gateway: info.gateway, dhcp: info.dhcp } : undefined
+        };
+    }));
+    return devices.filter(Boolean);
 }
 
 module.exports = {
     sendCommand,
     stop,
     discover,
+    parseSearchReply,
+    identify,
+    getCapabilities,
+    probe,
+    capabilities: CAPABILITIES,
+    imagingActions: IMAGING_ACTIONS,
     protocol: 'panasonic'
 };
@@ -0,0 +1,256 @@
+/**
+ * VISCA Serial Transport
+ * RS-232/RS-422 daisy chain (up to 7 cameras per port)
+ * Used by visca.js for devices with transport: 'serial'
+ */
+
+// VISCA Serial Constants
+const DEFAULT_BAUD_RATE = 9600;
+const MAX_CHAIN_LENGTH = 7;
+const REPLY_TIMEOUT = 1000;
+const COMPLETION_TIMEOUT = 5000;
+
+// Broadcast packets
+const BROADCAST_ADDRESS_SET = [0x88, 0x30, 0x01, 0xFF]; // Reply: 88 30 0w FF (w = last address + 1)
+const BROADCAST_IF_CLEAR = [0x88, 0x01, 0x00, 0x01, 0xFF];
+
+// VISCA error codes (z0 6y ee FF)
+const VISCA_ERRORS = {
+    0x01: 'Message length error',
+    0x02: 'Syntax error',
+    0x03: 'Command buffer full',
+    0x04: 'Command canceled',
+    0x05: 'No socket',
+    0x41: 'Command not executable'
+};
+
+// Open ports: path -> { port, buffer, queue, current, executing }
+// executing: 'address:socket' -> timer, commands ACKed but not yet completed
+const buses = new Map();
+
+/**
+ * Load serialport lazily so UDP-only installs keep working without it
+ */
+function loadSerialPort() {
+    try {
+        return require('serialport').SerialPort;
+    } catch (e) {
+        throw new Error('Serial support requires the "serialport" package');
+    }
+}
+
+/**
+ * Build VISCA error with code
+ */
+function viscaError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Get or open the bus for a serial port
+ */
+function getBus(path, baudRate = DEFAULT_BAUD_RATE) {
+    if (buses.has(path)) return buses.get(path);
+
+    const SerialPort = loadSerialPort();
+    const bus = { path, buffer: [], queue: [], current: null, port: null, executing: new Map() };
+
+    bus.port = new SerialPort({ path, baudRate: baudRate || DEFAULT_BAUD_RATE });
+    bus.port.on('data', (data) => handleData(bus, data));
+    bus.port.on('error', (err) => {
+        console.error(`[VISCA-Serial] ${path} error:`, err.message);
+        closeBus(bus, err);
+    });
+    bus.port.on('close', () => closeBus(bus, viscaError(`${path} closed`, 'CLOSED')));
+
+    buses.set(path, bus);
+    console.log(`[VISCA-Serial] Opened ${path} @ ${baudRate || DEFAULT_BAUD_RATE} baud`);
+    return bus;
+}
+
+/**
+ * Fail everything waiting on the bus and forget it
+ */
+function closeBus(bus, err) {
+    if (buses.get(bus.path) !== bus) return;
+    buses.delete(bus.path);
+
+    if (bus.current) {
+        clearTimeout(bus.current.timer);
+        bus.current.reject(err);
+        bus.current = null;
+    }
+    bus.queue.forEach(req => req.reject(err));
+    bus.queue = [];
+    bus.executing.forEach(timer => clearTimeout(timer));
+    bus.executing.clear();
+    if (bus.port.isOpen) bus.port.close();
+}
+
+/**
+ * Queue a packet on the bus; one request is in flight at a time
+ * @param {Object} request - { packet, address, kind: 'command'|'inquiry'|'broadcast' }
+ * @returns {Promise<Buffer>} Reply packet
+ */
+function enqueue(bus, request) {
+    return new Promise((resolve, reject) => {
+        bus.queue.push({ ...request, resolve, reject, timer: null });
+        pump(bus);
+    });
+}
+
+/**
+ * Send the next queued request if the bus is idle
+ */
+function pump(bus) {
+    if (bus.current || bus.queue.length === 0) return;
+
+    const req = bus.queue.shift();
+    bus.current = req;
+    req.timer = setTimeout(() => finish(bus, viscaError(`No reply on ${bus.path} (address ${req.address})`, 'TIMEOUT')), REPLY_TIMEOUT);
+
+    bus.port.write(Buffer.from(req.packet), (err) => {
+        if (err) finish(bus, err);
+    });
+}
+
+/**
+ * Settle the in-flight request and move on
+ */
+function finish(bus, err, reply) {
+    const req = bus.current;
+    if (!req) return;
+
+    clearTimeout(req.timer);
+    bus.current = null;
+    if (err) req.reject(err);
+    else req.resolve(reply);
+    pump(bus);
+}
+
+/**
+ * Split incoming bytes into FF-terminated packets
+ */
+function handleData(bus, data) {
+    for (const byte of data) {
+        bus.buffer.push(byte);
+        if (byte === 0xFF) {
+            handlePacket(bus, Buffer.from(bus.buffer));
+            bus.buffer = [];
+        }
+    }
+}
+
+/**
+ * Remember a command that was ACKed on a socket until its completion arrives
+ * (forgotten after COMPLETION_TIMEOUT if the camera never sends one)
+ */
+function trackExecuting(bus, key) {
+    clearTimeout(bus.executing.get(key));
+    bus.executing.set(key, setTimeout(() => bus.executing.delete(key), COMPLETION_TIMEOUT));
+}
+
+/**
+ * Consume a completion / error for a command that already returned on its ACK
+ * @returns {boolean} true when the packet belonged to such a command
+ */
+function settleExecuting(bus, key) {
+    if (!bus.executing.has(key)) return false;
+    clearTimeout(bus.executing.get(key));
+    bus.executing.delete(key);
+    return true;
+}
+
+/**
+ * Match a reply packet to the in-flight request
+ * Commands return on their ACK (9x 4y FF); their later completion (9x 5y FF)
+ * or error (9x 6y ee FF) on socket y is consumed here, so it cannot settle a
+ * request queued after them. Inquiries only settle on an inquiry reply
+ * (9x 50 <data> FF) or an error without socket (9x 60 ee FF).
+ */
+function handlePacket(bus, packet) {
+    const req = bus.current;
+    if (packet.length < 3) return;
+
+    if (req && req.kind === 'broadcast') {
+        // Broadcast replies echo the 88 header
+        if (packet[0] === 0x88 && packet[1] === req.packet[1]) finish(bus, null, packet);
+        return;
+    }
+
+    // Reply header is (address + 8) << 4, e.g. 0x90 for camera 1
+    const address = (packet[0] >> 4) - 8;
+    const kind = packet[1] & 0xF0;
+    const socket = packet[1] & 0x0F;
+    const key = `${address}:${socket}`;
+
+    if (kind === 0x40) {
+        trackExecuting(bus, key);
+        if (req && req.address === address && req.kind === 'command') finish(bus, null, packet);
+    } else if (kind === 0x50 && packet.length === 3) {
+        // Completion: of an earlier command, or the only reply of a command without ACK
+        if (settleExecuting(bus, key)) return;
+        if (req && req.address === address && req.kind === 'command') finish(bus, null, packet);
+    } else if (kind === 0x50) {
+        if (req && req.address === address && req.kind === 'inquiry' && socket === 0) finish(bus, null, packet);
+    } else if (kind === 0x60) {
+        const code = packet[2];
+        const message = VISCA_ERRORS[code] || `VISCA error 0x${code.toString(16)}`;
+        if (settleExecuting(bus, key)) {
+            console.warn(`[VISCA-Serial] ${bus.path} address ${address}: ${message} (socket ${socket})`);
+            return;
+        }
+        if (req && req.address === address) finish(bus, viscaError(message, code));
+    }
+}
+
+/**
+ * Send VISCA packet to a chained camera
+ * @param {Object} device - { serialPath, baudRate, cameraAddress }
+ * @param {Array} packet - Full VISCA packet including 8x header and FF
+ * @param {boolean} isInquiry - Wait for the inquiry reply instead of ACK
+ * @returns {Promise<Buffer>} Reply packet
+ */
+function sendSerial(device, packet, isInquiry = false) {
+    const bus = getBus(device.serialPath, device.baudRate);
+    return enqueue(bus, {
+        packet,
+        address: device.cameraAddress || 1,
+        kind: isInquiry ? 'inquiry' : 'command'
+    });
+}
+
+/**
+ * Assign addresses along the daisy chain (AddressSet broadcast)
+ * @returns {Promise<number>} Number of cameras on the chain
+ */
+async function enumerateChain(path, baudRate = DEFAULT_BAUD_RATE) {
+    const bus = getBus(path, baudRate);
+
+    const reply = await enqueue(bus, { packet: BROADCAST_ADDRESS_SET, address: 8, kind: 'broadcast' });
+    const count = Math.min(MAX_CHAIN_LENGTH, Math.max(0, (reply[2] & 0x0F) - 1));
+
+    // Clear command buffers so the new addresses start clean
+    await enqueue(bus, { packet: BROADCAST_IF_CLEAR, address: 8, kind: 'broadcast' }).catch(() => { });
+
+    console.log(`[VISCA-Serial] ${path}: ${count} camera(s) on chain`);
+    return count;
+}
+
+/**
+ * List available serial ports
+ */
+async function listPorts() {
+    const SerialPort = loadSerialPort();
+    const ports = await SerialPort.list();
+    return ports.map(p => ({ path: p.path, manufacturer: p.manufacturer }));
+}
+
+module.exports = {
+    sendSerial,
+    enumerateChain,
+    listPorts,
+    MAX_CHAIN_LENGTH
+};
@@ -1,14 +1,16 @@
 /**
  * VISCA over IP Protocol
  * Sony and compatible PTZ cameras
- * Uses UDP port 52381
+ * Uses UDP port 52381 with VISCA-over-IP framing (one session per camera),
+ * or RS-232/RS-422 serial for devices with transport: 'serial'
  */
 
 const dgram = require('dgram');
+const serial = require('./visca-serial');
 
 // VISCA Constants
 const VISCA_PORT = 52381;
-const VISCA_HEADER = 0x81; // Camera address 1
+const DEFAULT_ADDRESS = 1; // Header 0x81; serial chains use 1-7
 
 // VISCA Command Bytes
 const VISCA_COMMANDS = {
@@ -23,34 +25,458 @@ const VISCA_COMMANDS = {
 
     // Presets
     PRESET_RECALL: [0x01, 0x04, 0x3F, 0x02], // + preset number
-    PRESET_SET: [0x01, 0x04, 0x3F, 0x01]     // + preset number
+    PRESET_SET: [0x01, 0x04, 0x3F, 0x01],    // + preset number
+
+    // Absolute Position
+    PAN_TILT_ABSOLUTE: [0x01, 0x06, 0x02], // + VV WW + 4 pan nibbles + 4 tilt nibbles
+    ZOOM_DIRECT: [0x01, 0x04, 0x47],       // + 4 zoom nibbles
+
+    // Focus
+    FOCUS_STOP: [0x01, 0x04, 0x08, 0x00],
+    FOCUS_FAR: [0x01, 0x04, 0x08],       // + 0x2p (variable speed p = 0-7)
+    FOCUS_NEAR: [0x01, 0x04, 0x08],      // + 0x3p
+    FOCUS_AUTO: [0x01, 0x04, 0x38, 0x02],
+    FOCUS_MANUAL: [0x01, 0x04, 0x38, 0x03],
+    FOCUS_ONE_PUSH: [0x01, 0x04, 0x18, 0x01],
+
+    // Exposure (iris/gain/shutter steps need AE manual or a matching priority mode)
+    IRIS_UP: [0x01, 0x04, 0x0B, 0x02],
+    IRIS_DOWN: [0x01, 0x04, 0x0B, 0x03],
+    AE_FULL_AUTO: [0x01, 0x04, 0x39, 0x00],
+    AE_MANUAL: [0x01, 0x04, 0x39, 0x03],
+    GAIN_UP: [0x01, 0x04, 0x0C, 0x02],
+    GAIN_DOWN: [0x01, 0x04, 0x0C, 0x03],
+    SHUTTER_UP: [0x01, 0x04, 0x0A, 0x02],
+    SHUTTER_DOWN: [0x01, 0x04, 0x0A, 0x03],
+
+    // White Balance
+    WB_MODE: [0x01, 0x04, 0x35],         // + mode
+    WB_ONE_PUSH_TRIGGER: [0x01, 0x04, 0x10, 0x05]
+};
+
+// CAM_WB mode bytes
+const WB_MODES = {
+    auto: 0x00,
+    indoor: 0x01,
+    outdoor: 0x02,
+    onepush: 0x03,
+    atw: 0x04,
+    manual: 0x05
+};
+
+// Imaging actions supported over VISCA
+const IMAGING_ACTIONS = [
+    'FOCUS_NEAR', 'FOCUS_FAR', 'FOCUS_STOP', 'FOCUS_AUTO', 'FOCUS_MANUAL', 'FOCUS_ONE_PUSH',
+    'IRIS_OPEN', 'IRIS_CLOSE', 'IRIS_AUTO', 'IRIS_MANUAL',
+    'GAIN_UP', 'GAIN_DOWN', 'SHUTTER_UP', 'SHUTTER_DOWN',
+    'WB_MODE', 'WB_ONE_PUSH'
+];
+
+// VISCA Inquiry Bytes
+const VISCA_INQUIRIES = {
+    POWER: [0x09, 0x04, 0x00],        // Reply: y0 50 0p FF (02 on, 03 standby)
+    ZOOM_POS: [0x09, 0x04, 0x47],     // Reply: y0 50 0p 0q 0r 0s FF
+    FOCUS_MODE: [0x09, 0x04, 0x38],   // Reply: y0 50 0p FF (02 auto, 03 manual)
+    PAN_TILT_POS: [0x09, 0x06, 0x12], // Reply: y0 50 0w 0w 0w 0w 0z 0z 0z 0z FF
+    VERSION: [0x09, 0x00, 0x02]       // Reply: y0 50 GG GG HH HH JJ JJ KK FF
+};
+
+// Vendor IDs from CAM_VersionInq
+const VISCA_VENDORS = {
+    0x0001: 'Sony'
+};
+
+// Reply parsers for inquire(), keyed by inquiry name
+const INQUIRY_PARSERS = {
+    power: (reply) => ({ power: reply[2] === 0x02 ? 'on' : 'standby' }),
+    zoom: (reply) => {
+        const zoom = fromNibbles(reply.slice(2, 6)) & 0xFFFF;
+        return { zoom: clamp(zoom / ZOOM_MAX, 0, 1), raw: zoom };
+    },
+    focusMode: (reply) => ({ focusMode: reply[2] === 0x02 ? 'auto' : 'manual' }),
+    panTilt: (reply) => {
+        const pan = fromNibbles(reply.slice(2, 6));
+        const tilt = fromNibbles(reply.slice(6, 10));
+        return {
+            pan: clamp(pan / PAN_LIMIT, -1, 1),
+            tilt: clamp(tilt / TILT_LIMIT, -1, 1),
+            raw: { pan, tilt }
+        };
+    },
+    version: (reply) => {
+        const vendorId = reply.readUInt16BE(2);
+        const modelId = reply.readUInt16BE(4);
+        return {
+            vendorId,
+            vendor: VISCA_VENDORS[vendorId] || `Vendor 0x${hex4(vendorId)}`,
+            modelId,
+            model: `0x${hex4(modelId)}`,
+            romVersion: `0x${hex4(reply.readUInt16BE(6))}`,
+            sockets: reply[8]
+        };
+    }
+};
+
+const INQUIRY_COMMANDS = {
+    power: VISCA_INQUIRIES.POWER,
+    zoom: VISCA_INQUIRIES.ZOOM_POS,
+    focusMode: VISCA_INQUIRIES.FOCUS_MODE,
+    panTilt: VISCA_INQUIRIES.PAN_TILT_POS,
+    version: VISCA_INQUIRIES.VERSION
+};
+
+// Position ranges (typical Sony BRC/SRG values; models vary)
+const PAN_LIMIT = 0x0990;
+const TILT_LIMIT = 0x0510;
+const ZOOM_MAX = 0x4000;
+const PAN_SPEED_MAX = 0x18;
+const TILT_SPEED_MAX = 0x17;
+
+// VISCA-over-IP Payload Types (8-byte header: type(2) length(2) sequence(4))
+const PAYLOAD_TYPES = {
+    COMMAND: 0x0100,
+    INQUIRY: 0x0110,
+    REPLY: 0x0111,
+    CONTROL: 0x0200,
+    CONTROL_REPLY: 0x0201
+};
+
+// Control payloads
+const CONTROL_RESET = 0x01;         // Reset sequence number
+const CONTROL_ERR_SEQUENCE = 0x01;  // 0F 01: abnormal sequence number
+const CONTROL_ERR_MESSAGE = 0x02;   // 0F 02: abnormal message
+
+// VISCA error codes (y0 6z ee FF)
+const VISCA_ERRORS = {
+    0x01: 'Message length error',
+    0x02: 'Syntax error',
+    0x03: 'Command buffer full',
+    0x04: 'Command canceled',
+    0x05: 'No socket',
+    0x41: 'Command not executable'
 };
 
+// Session Timing
+const REPLY_TIMEOUT = 500;       // Wait for ACK/Completion before retransmit
+const COMPLETION_TIMEOUT = 5000; // Wait for Completion after ACK (inquiries)
+const MAX_RETRIES = 2;
+const MAX_SEQUENCE = 0xFFFFFFFF;
+
+// Per-camera sessions: "ip:port" -> { socket, seq, pending, ready }
+const sessions = new Map();
+
+/**
+ * Build VISCA error with code
+ */
+function viscaError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Get or open the VISCA-over-IP session for a camera
+ * Opening a session resets the camera's sequence counter.
+ */
+function getSession(ip, port) {
+    const key = `${ip}:${port}`;
+    if (sessions.has(key)) return sessions.get(key);
+
+    const socket = dgram.createSocket('udp4');
+    const session = { key, ip, port, socket, seq: 0, pending: new Map(), ready: null, lastReply: null };
+
+    socket.on('message', (msg) => handleMessage(session, msg));
+    socket.on('error', (err) => {
+        console.error(`[VISCA] Socket error for ${key}:`, err.message);
+        closeSession(session, err);
+    });
+
+    sessions.set(key, session);
+    session.ready = resetSequence(session);
+    return session;
+}
+
+/**
+ * Close session and fail everything still waiting on it
+ */
+function closeSession(session, err) {
+    session.pending.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.reject(err || viscaError('Session closed', 'CLOSED'));
+    });
+    session.pending.clear();
+    sessions.delete(session.key);
+    try { session.socket.close(); } catch (e) { /* already closed */ }
+}
+
+/**
+ * Send RESET control so the camera accepts sequence numbers from 0 again
+ * Cameras that ignore the control channel still work, so a timeout is not fatal.
+ */
+async function resetSequence(session) {
+    session.seq = 0;
+    try {
+        await transmit(session, PAYLOAD_TYPES.CONTROL, [CONTROL_RESET]);
+    } catch (e) {
+        console.warn(`[VISCA] Sequence reset not acknowledged by ${session.key}: ${e.message}`);
+    }
+    session.seq = 1;
+}
+
 /**
- * Send raw VISCA command via UDP
+ * Frame payload with VISCA-over-IP header
  */
-function sendViscaUdp(ip, port, command) {
+function frame(type, payload, seq) {
+    const header = Buffer.alloc(8);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt16BE(payload.length, 2);
+    header.writeUInt32BE(seq, 4);
+    return Buffer.concat([header, Buffer.from(payload)]);
+}
+
+/**
+ * Send one framed packet and wait for its reply, retransmitting on timeout
+ * @param {Object} options - { waitCompletion } resolve on Completion instead of ACK
+ * @returns {Promise<Object>} { ack, reply } where reply is the VISCA reply bytes
+ */
+function transmit(session, type, payload, options = {}) {
     return new Promise((resolve, reject) => {
-        const socket = dgram.createSocket('udp4');
-        const buffer = Buffer.from([VISCA_HEADER, ...command, 0xFF]);
+        const seq = session.seq;
+        session.seq = session.seq >= MAX_SEQUENCE ? 1 : session.seq + 1;
 
-        socket.send(buffer, 0, buffer.length, port, ip, (err) => {
-            socket.close();
-            if (err) {
-                reject(err);
-            } else {
-                resolve({ success: true });
-            }
-        });
+        const entry = {
+            seq,
+            type,
+            packet: frame(type, payload, seq),
+            waitCompletion: !!options.waitCompletion,
+            attempts: 0,
+            timer: null,
+            resolve,
+            reject
+        };
 
-        // Timeout
-        setTimeout(() => {
-            socket.close();
-            resolve({ success: true }); // VISCA doesn't always ACK
-        }, 100);
+        const send = () => {
+            entry.attempts++;
+            session.socket.send(entry.packet, 0, entry.packet.length, session.port, session.ip, (err) => {
+                if (err) settle(session, entry, err);
+            });
+            entry.timer = setTimeout(() => {
+                if (entry.attempts <= MAX_RETRIES) {
+                    console.warn(`[VISCA] No reply from ${session.key} (seq ${seq}), retransmitting`);
+                    send();
+                } else {
+                    settle(session, entry, viscaError(`No reply from ${session.key}`, 'TIMEOUT'));
+                }
+            }, REPLY_TIMEOUT);
+        };
+
+        session.pending.set(seq, entry);
+        send();
     });
 }
 
+/**
+ * Resolve or reject a pending entry and forget it
+ */
+function settle(session, entry, err, result) {
+    clearTimeout(entry.timer);
+    session.pending.delete(entry.seq);
+    if (err) entry.reject(err);
+    else entry.resolve(result);
+}
+
+/**
+ * Parse incoming packet and route it to the matching pending entry
+ */
+function handleMessage(session, msg) {
+    session.lastReply = Date.now();
+    let type = null;
+    let seq = null;
+    let payload = msg;
+
+    // Framed reply (8-byte header); bare VISCA replies start with 0x90-0xF0
+    if (msg.length >= 8 && (msg.readUInt16BE(0) === PAYLOAD_TYPES.REPLY || msg.readUInt16BE(0) === PAYLOAD_TYPES.CONTROL_REPLY)) {
+        type = msg.readUInt16BE(0);
+        seq = msg.readUInt32BE(4);
+        payload = msg.slice(8, 8 + msg.readUInt16BE(2));
+    }
+
+    // Unframed replies carry no sequence; match the oldest pending command
+    const entry = seq !== null ? session.pending.get(seq) : session.pending.values().next().value;
+
+    if (type === PAYLOAD_TYPES.CONTROL_REPLY) {
+        if (payload[0] === 0x0F) {
+            const reason = payload[1] === CONTROL_ERR_SEQUENCE ? 'Abnormal sequence number' : 'Abnormal message';
+            console.warn(`[VISCA] Control error from ${session.key}: ${reason}`);
+            if (payload[1] === CONTROL_ERR_SEQUENCE) session.ready = resetSequence(session);
+            if (entry) settle(session, entry, viscaError(reason, payload[1] === CONTROL_ERR_MESSAGE ? 'MESSAGE_ERROR' : 'SEQUENCE_ERROR'));
+        } else if (entry) {
+            settle(session, entry, null, { ack: true, reply: payload });
+        }
+        return;
+    }
+
+    if (!entry || payload.length < 3) return;
+
+    const kind = payload[1] & 0xF0;
+    if (kind === 0x40) {
+        // ACK: commands are done, inquiries/waiting commands keep listening for Completion
+        if (!entry.waitCompletion) {
+            settle(session, entry, null, { ack: true, reply: payload });
+        } else {
+            clearTimeout(entry.timer);
+            entry.timer = setTimeout(() => {
+                settle(session, entry, viscaError(`Completion timeout from ${session.key}`, 'TIMEOUT'));
+            }, COMPLETION_TIMEOUT);
+        }
+    } else if (kind === 0x50) {
+        settle(session, entry, null, { ack: true, reply: payload });
+    } else if (kind === 0x60) {
+        const code = payload[2];
+        const reason = VISCA_ERRORS[code] || `VISCA error 0x${code.toString(16)}`;
+        settle(session, entry, viscaError(reason, code));
+    }
+}
+
+/**
+ * Build VISCA packet for the device's camera address (8x ... FF)
+ */
+function buildPacket(device, bytes) {
+    return [0x80 | (device.cameraAddress || DEFAULT_ADDRESS), ...bytes, 0xFF];
+}
+
+/**
+ * Send VISCA command to camera and wait for ACK
+ * Rejects on VISCA error replies (syntax error, buffer full, not executable) or timeout.
+ */
+async function sendVisca(device, command) {
+    const packet = buildPacket(device, command);
+
+    if (device.transport === 'serial') {
+        await serial.sendSerial(device, packet);
+        return { success: true };
+    }
+
+    const session = getSession(device.ip, device.port || VISCA_PORT);
+    await session.ready;
+    await transmit(session, PAYLOAD_TYPES.COMMAND, packet);
+    return { success: true };
+}
+
+/**
+ * Send VISCA inquiry and wait for the completion reply
+ * @returns {Promise<Buffer>} Reply packet (y0 50 ... FF)
+ */
+async function sendViscaInquiry(device, inquiry) {
+    const packet = buildPacket(device, inquiry);
+
+    if (device.transport === 'serial') {
+        return serial.sendSerial(device, packet, true);
+    }
+
+    const session = getSession(device.ip, device.port || VISCA_PORT);
+    await session.ready;
+    try {
+        const { reply } = await transmit(session, PAYLOAD_TYPES.INQUIRY, packet, { waitCompletion: true });
+        return reply;
+    } catch (err) {
+        // Nothing ever answered on this address: don't keep a socket open for it
+        if (err.code === 'TIMEOUT' && !session.lastReply) closeSession(session);
+        throw err;
+    }
+}
+
+/**
+ * Query camera state
+ * @param {Object} device - Device info {ip, port} or {transport: 'serial', serialPath, cameraAddress}
+ * @param {string} name - power | zoom | focusMode | panTilt | version
+ * @returns {Promise<Object>} Parsed reply, e.g. { power: 'on' }
+ */
+async function inquire(device, name) {
+    const inquiry = INQUIRY_COMMANDS[name];
+    if (!inquiry) throw new Error(`Unknown VISCA inquiry: ${name}`);
+
+    const reply = await sendViscaInquiry(device, inquiry);
+    return INQUIRY_PARSERS[name](reply);
+}
+
+/**
+ * Encode signed 16-bit value as 4 VISCA nibbles (0p 0q 0r 0s)
+ */
+function toNibbles(value) {
+    const v = value & 0xFFFF;
+    return [(v >> 12) & 0x0F, (v >> 8) & 0x0F, (v >> 4) & 0x0F, v & 0x0F];
+}
+
+/**
+ * Decode 4 VISCA nibbles to a signed 16-bit value
+ */
+function fromNibbles(bytes) {
+    const v = ((bytes[0] & 0x0F) << 12) | ((bytes[1] & 0x0F) << 8) | ((bytes[2] & 0x0F) << 4) | (bytes[3] & 0x0F);
+    return v > 0x7FFF ? v - 0x10000 : v;
+}
+
+/**
+ * Read current position (Pan-tiltPosInq + CAM_ZoomPosInq)
+ * @returns {Object} { pan: -1..1, tilt: -1..1, zoom: 0..1 }
+ */
+async function getPosition(device) {
+    const panTilt = await inquire(device, 'panTilt');
+    const zoom = await inquire(device, 'zoom');
+
+    return {
+        pan: panTilt.pan,
+        tilt: panTilt.tilt,
+        zoom: zoom.zoom,
+        raw: { ...panTilt.raw, zoom: zoom.raw }
+    };
+}
+
+/**
+ * Move to absolute position (Pan-tiltAbsolutePosition + CAM_Zoom Direct)
+ * Omitted axes keep their current value.
+ */
+async function gotoPosition(device, position, speed) {
+    if (position.pan !== undefined || position.tilt !== undefined) {
+        let { pan, tilt } = position;
+        if (pan === undefined || tilt === undefined) {
+            const current = await getPosition(device);
+            if (pan === undefined) pan = current.pan;
+            if (tilt === undefined) tilt = current.tilt;
+        }
+        const panSpeed = clamp(Math.round((speed / 100) * PAN_SPEED_MAX), 1, PAN_SPEED_MAX);
+        const tiltSpeed = clamp(Math.round((speed / 100) * TILT_SPEED_MAX), 1, TILT_SPEED_MAX);
+        await sendVisca(device, [
+            ...VISCA_COMMANDS.PAN_TILT_ABSOLUTE, panSpeed, tiltSpeed,
+            ...toNibbles(Math.round(clamp(pan, -1, 1) * PAN_LIMIT)),
+            ...toNibbles(Math.round(clamp(tilt, -1, 1) * TILT_LIMIT))
+        ]);
+    }
+
+    if (position.zoom !== undefined) {
+        await sendVisca(device, [
+            ...VISCA_COMMANDS.ZOOM_DIRECT,
+            ...toNibbles(Math.round(clamp(position.zoom, 0, 1) * ZOOM_MAX))
+        ]);
+    }
+
+    console.log(`[VISCA] Goto ${device.id || device.ip} -> ${JSON.stringify(position)}`);
+    return { success: true };
+}
+
+function clamp(num, min, max) {
+    return Math.min(Math.max(num, min), max);
+}
+
+// Map speed (0-100) to VISCA variable focus speed (0-7)
+function focusSpeed(speed) {
+    return clamp(Math.round((speed / 100) * 7), 0, 7);
+}
+
+function hex4(num) {
+    return num.toString(16).toUpperCase().padStart(4, '0');
+}
+
 /**
  * Send PTZ command via VISCA
  * @param {Object} device - Device info {ip, port}
@@ -59,12 +485,18 @@ function sendViscaUdp(ip, port, command) {
  */
 async function sendCommand(device, action, params = 50) {
     let speed = 50;
+    let position = null;
+    let value = null;
     if (typeof params === 'object') {
-        speed = params.speed || 50;
+        speed = params.speed ?? 50;
+        position = params.position || null;
+        value = params.value || null;
     } else {
         speed = params;
     }
-    const port = device.port || VISCA_PORT;
+    const addr = device.transport === 'serial'
+        ? `${device.serialPath}#${device.cameraAddress || DEFAULT_ADDRESS}`
+        : `${device.ip}:${device.port || VISCA_PORT}`;
 
     // Map speed to VISCA range (0x01 - 0x18 for pan/tilt)
     const viscaSpeed = Math.max(1, Math.min(24, Math.floor(speed / 4.2)));
@@ -93,7 +525,7 @@ async function sendCommand(device, action, params = 50) {
                 break;
             case 'STOP':
                 // Send both pan/tilt stop and zoom stop
-                await sendViscaUdp(device.ip, port, VISCA_COMMANDS.PAN_TILT_STOP);
+                await sendVisca(device, VISCA_COMMANDS.PAN_TILT_STOP);
                 command = VISCA_COMMANDS.ZOOM_STOP;
                 break;
             case 'PRESET_CALL':
@@ -102,12 +534,66 @@ async function sendCommand(device, action, params = 50) {
             case 'PRESET_SET':
                 command = [...VISCA_COMMANDS.PRESET_SET, speed];
                 break;
+            case 'FOCUS_NEAR':
+                command = [...VISCA_COMMANDS.FOCUS_NEAR, 0x30 | focusSpeed(speed)];
+                break;
+            case 'FOCUS_FAR':
+                command = [...VISCA_COMMANDS.FOCUS_FAR, 0x20 | focusSpeed(speed)];
+                break;
+            case 'FOCUS_STOP':
+                command = VISCA_COMMANDS.FOCUS_STOP;
+                break;
+            case 'FOCUS_AUTO':
+                command = VISCA_COMMANDS.FOCUS_AUTO;
+                break;
+            case 'FOCUS_MANUAL':
+                command = VISCA_COMMANDS.FOCUS_MANUAL;
+                break;
+            case 'FOCUS_ONE_PUSH':
+                command = VISCA_COMMANDS.FOCUS_ONE_PUSH;
+                break;
+            case 'IRIS_OPEN':
+                command = VISCA_COMMANDS.IRIS_UP;
+                break;
+            case 'IRIS_CLOSE':
+                command = VISCA_COMMANDS.IRIS_DOWN;
+                break;
+            case 'IRIS_AUTO':
+                command = VISCA_COMMANDS.AE_FULL_AUTO;
+                break;
+            case 'IRIS_MANUAL':
+                command = VISCA_COMMANDS.AE_MANUAL;
+                break;
+            case 'GAIN_UP':
+                command = VISCA_COMMANDS.GAIN_UP;
+                break;
+            case 'GAIN_DOWN':
+                command = VISCA_COMMANDS.GAIN_DOWN;
+                break;
+            case 'SHUTTER_UP':
+                command = VISCA_COMMANDS.SHUTTER_UP;
+                break;
+            case 'SHUTTER_DOWN':
+                command = VISCA_COMMANDS.SHUTTER_DOWN;
+                break;
+            case 'WB_MODE':
+                if (WB_MODES[value] === undefined) return { success: false, error: `Unknown white balance mode: ${value}` };
+                command = [...VISCA_COMMANDS.WB_MODE, WB_MODES[value]];
+                break;
+            case 'WB_ONE_PUSH':
+                command = VISCA_COMMANDS.WB_ONE_PUSH_TRIGGER;
+                break;
+            case 'GET_POSITION':
+                return { success: true, position: await getPosition(device) };
+            case 'GOTO_ABSOLUTE':
+                if (!position) return { success: false, error: 'Missing position' };
+                return await gotoPosition(device, position, speed);
             default:
                 return { success: false, error: 'Unknown action' };
         }
 
-        console.log(`[VISCA] Sending ${action} to ${device.ip}:${port}`);
-        return await sendViscaUdp(device.ip, port, command);
+        console.log(`[VISCA] Sending ${action} to ${addr}`);
+        return await sendVisca(device, command);
 
     } catch (error) {
         console.error(`[VISCA] Error:`, error.message);
@@ -115,15 +601,58 @@ async function sendCommand(device, action, params = 50) {
     }
 }
 
+// Capabilities common to VISCA cameras
+const CAPABILITIES = {
+    presets: { count: 255, min: 0, max: 254 }, // CAM_Memory byte (0xFF is the terminator)
+    absolutePosition: true,                    // Pan-tiltDrive AbsolutePosition / CAM_Zoom Direct
+    tally: true,                               // CAM_Tally
+    power: true                                // CAM_Power
+};
+
+/**
+ * Report capability descriptor
+ * Absolute positioning is confirmed by the camera answering a position inquiry.
+ * @returns {Promise<Object>} Partial descriptor merged over router defaults
+ */
+async function getCapabilities(device) {
+    const caps = { ...CAPABILITIES, imaging: IMAGING_ACTIONS };
+
+    try {
+        await inquire(device, 'panTilt');
+    } catch (error) {
+        // Syntax error / not executable: camera has no pan-tilt position support
+        if (typeof error.code !== 'number') throw error;
+        caps.absolutePosition = false;
+    }
+    return caps;
+}
+
+/**
+ * Read identity from the version inquiry (VISCA reports no serial number or MAC)
+ * @returns {Promise<Object>} { vendor, model, firmware }
+ */
+async function identify(device) {
+    // Discovery already read the version: asking again opens a session (sequence reset)
+    if (device.model) return { vendor: device.vendor, model: device.model, firmware: device.firmware };
+    const version = await inquire(device, 'version');
+    return { vendor: version.vendor, model: version.model, firmware: version.romVersion };
+}
+
+/**
+ * Cheapest liveness check: power inquiry
+ * @returns {Promise<Object>} { power } (throws if unreachable)
+ */
+async function probe(device) {
+    return inquire(device, 'power');
+}
+
 /**
  * Stop all movement
  */
 async function stop(device) {
-    const port = device.port || VISCA_PORT;
-
     try {
-        await sendViscaUdp(device.ip, port, VISCA_COMMANDS.PAN_TILT_STOP);
-        await sendViscaUdp(device.ip, port, VISCA_COMMANDS.ZOOM_STOP);
+        await sendVisca(device, VISCA_COMMANDS.PAN_TILT_STOP);
+        await sendVisca(device, VISCA_COMMANDS.ZOOM_STOP);
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
@@ -131,17 +660,71 @@ async function stop(device) {
 }
 
 /**
- * Discover VISCA devices (limited - VISCA doesn't have standard discovery)
- * Returns empty array - devices must be manually added
+ * Find VISCA-over-IP cameras among candidate hosts
+ * One socket sends only a version inquiry to every host: no sequence reset, so
+ * cameras in use (by our sessions or another controller) keep their counter.
+ * Hosts we already hold a session with are skipped; hosts answering with a
+ * version reply are cameras.
+ * @param {Array} hosts - IPv4 addresses (e.g. SSDP hosts, subnet sweep)
+ * @returns {Promise<Array>} Devices { ip, port, protocol, name, vendor, model, firmware }
  */
-async function discover() {
-    console.log('[VISCA] Note: VISCA devices must be manually configured');
-    return [];
+async function discover(hosts = [], timeout = 1000) {
+    const candidates = hosts.filter(ip => !sessions.has(`${ip}:${VISCA_PORT}`));
+    if (candidates.length === 0) return [];
+
+    const found = new Map();
+    await new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+        const inquiry = frame(PAYLOAD_TYPES.INQUIRY, buildPacket({}, VISCA_INQUIRIES.VERSION), 1);
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            socket.close();
+            resolve();
+        };
+
+        socket.on('message', (msg, rinfo) => {
+            if (msg.length < 8 || msg.readUInt16BE(0) !== PAYLOAD_TYPES.REPLY) return;
+            const reply = msg.slice(8, 8 + msg.readUInt16BE(2));
+            if (reply.length < 10 || (reply[1] & 0xF0) !== 0x50 || found.has(rinfo.address)) return;
+            found.set(rinfo.address, INQUIRY_PARSERS.version(reply));
+        });
+        socket.on('error', (err) => {
+            console.error('[VISCA] Discovery socket error:', err.message);
+            finish();
+        });
+        socket.bind(() => {
+            // Unreachable hosts report send errors here instead of closing the socket
+            const ignore = () => { };
+            candidates.forEach(ip => socket.send(inquiry, 0, inquiry.length, VISCA_PORT, ip, ignore));
+            setTimeout(finish, timeout);
+        });
+    });
+
+    console.log(`[VISCA] ${found.size} of ${candidates.length} hosts answered the version inquiry`);
+    return Array.from(found.entries()).map(([ip, version]) => ({
+        ip,
+        port: VISCA_PORT,
+        protocol: 'visca',
+        name: `${version.vendor} ${version.model} (${ip})`,
+        vendor: version.vendor,
+        model: version.model,
+        firmware: version.romVersion
+    }));
 }
 
 module.exports = {
     sendCommand,
     stop,
     discover,
+    identify,
+    inquire,
+    enumerateChain: serial.enumerateChain,
+    listSerialPorts: serial.listPorts,
+    getCapabilities,
+    probe,
+    capabilities: CAPABILITIES,
+    imagingActions: IMAGING_ACTIONS,
     protocol: 'visca'
 };
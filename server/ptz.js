@@ -8,6 +8,7 @@ const panasonic = require('./protocols/panasonic');
 const onvif = require('./protocols/onvif');
 const visca = require('./protocols/visca');
 const ndi = require('./protocols/ndi');
+const { searchSsdp, subnetHosts } = require('./netscan');
 
 // Protocol map
 const protocols = {
@@ -17,26 +18,32 @@ const protocols = {
     ndi
 };
 
-// Per-Device Watchdog Timers
-const deviceWatchdogs = {};
+// Per-Device Deadman
+// A moving device is stopped unless a new move renews its hold before the deadline.
+const DEFAULT_HOLD = 600;    // Discrete moves hold motion for 600 ms
+const DEADMAN_INTERVAL = 50; // Deadline check period
+const VECTOR_DEADZONE = 0.02;
+// devId -> { device, handler, stopAction, deadline }
+const deviceMotion = new Map();
 
-/**
- * Send PTZ command to device(s)
- * @param {Object} cmd - Command object { action, target, speed }
- * @param {Object} devices - Device registry
- */
 // Per-Device Command Queue (Mutex + Conflation)
 // deviceIp -> boolean (is executing?)
 const deviceBusy = {};
-// deviceIp -> { cmd, device, resolve, reject } (next command to run)
+// deviceIp -> [{ cmd, device, handler, resolve, reject }] (commands waiting, in order)
 const devicePending = {};
+// Commands that start camera movement (dropped when a priority STOP arrives)
+const MOVING_ACTIONS = ['PRESET_CALL', 'GOTO_ABSOLUTE'];
+// Commands whose `speed` carries a preset number (0 is a valid preset)
+const PRESET_ACTIONS = ['PRESET_CALL', 'PRESET_SET'];
 
 /**
  * Send PTZ command to device(s)
- * @param {Object} cmd - Command object { action, target, speed }
+ * @param {Object} cmd - Command object { action, target, speed, vector, position }
  * @param {Object} devices - Device registry
+ * @param {Object} [options] - { hold }: ms a move keeps the device moving (default 600)
+ * @returns {Promise<Array>} Handler result per target, e.g. { target, success, position }
  */
-async function sendPtzCommand(cmd, devices) {
+async function sendPtzCommand(cmd, devices, options = {}) {
     // Resolve Target Camera(s)
     let targets = [];
     if (cmd.target === 'ALL' || !cmd.target) {
@@ -51,66 +58,156 @@ async function sendPtzCommand(cmd, devices) {
         const protocol = device.protocol || 'panasonic';
         const handler = protocols[protocol];
 
-        if (!handler) return Promise.resolve();
+        if (!handler) return Promise.resolve({ target: device.id, success: false, error: `Unsupported protocol: ${protocol}` });
 
-        // Use IP as key
-        const devId = device.ip;
+        // Use device ID as key (serial cameras share no IP)
+        const devId = device.id || device.ip;
 
-        // --- WATCHDOG LOGIC (Keep existing safety) ---
-        if (deviceWatchdogs[devId]) {
-            clearTimeout(deviceWatchdogs[devId]);
-            delete deviceWatchdogs[devId];
-        }
-        if (cmd.action !== 'STOP' && (cmd.action.startsWith('PAN') || cmd.action.startsWith('TILT') || cmd.action.startsWith('ZOOM'))) {
-            deviceWatchdogs[devId] = setTimeout(() => {
-                console.log(`[Watchdog] Timeout for ${device.name || device.ip} -> Force STOP`);
-                // Force stop bypasses queue? No, should use queue ideally, but force is force.
-                // Let's call queue with STOP.
-                queueCommand(devId, device, handler, { action: 'STOP' });
-                delete deviceWatchdogs[devId];
-            }, 600);
+        // --- DEADMAN (queries and settings keep the tracked motion) ---
+        const stopAction = motionStopAction(cmd);
+        if (stopAction) {
+            const deadline = Date.now() + (options.hold || DEFAULT_HOLD);
+            deviceMotion.set(devId, { device, handler, stopAction, deadline });
+        } else if (endsMotion(cmd, deviceMotion.get(devId))) {
+            deviceMotion.delete(devId);
         }
 
         // --- QUEUE LOGIC ---
-        return queueCommand(devId, device, handler, cmd);
+        const startedAt = Date.now();
+        return queueCommand(devId, device, handler, cmd)
+            .then(result => describeResult(device, result, startedAt));
+    });
+
+    return Promise.all(promises);
+}
+
+/**
+ * Stop action for a command that keeps the device moving, null otherwise
+ */
+function motionStopAction(cmd) {
+    const action = cmd.action;
+    if (action === 'FOCUS_NEAR' || action === 'FOCUS_FAR') return 'FOCUS_STOP';
+    if (action === 'PTZ_VECTOR') {
+        const v = cmd.vector;
+        const moving = v && (Math.abs(v.x) >= VECTOR_DEADZONE || Math.abs(v.y) >= VECTOR_DEADZONE);
+        return moving ? 'STOP' : null;
+    }
+    if (action !== 'STOP' && action !== 'ZOOM_STOP' && /^(PAN|TILT|ZOOM)_/.test(action)) return 'STOP';
+    return null;
+}
+
+/**
+ * Whether a command ends the tracked motion: STOP, its own stop action,
+ * a stopped joystick or a move to a fixed position (preset / absolute)
+ */
+function endsMotion(cmd, motion) {
+    if (!motion) return false;
+    return cmd.action === 'STOP' || cmd.action === 'PTZ_VECTOR' ||
+        cmd.action === motion.stopAction || MOVING_ACTIONS.includes(cmd.action);
+}
+
+/**
+ * Stop devices now (stream ended or deadline passed)
+ * Only devices still in motion get a stop command.
+ * @param {Array} devIds - Device IDs
+ * @returns {Promise<Array>} Handler result per stopped device
+ */
+function stopMotion(devIds) {
+    const promises = devIds.filter(id => deviceMotion.has(id)).map(devId => {
+        const { device, handler, stopAction } = deviceMotion.get(devId);
+        deviceMotion.delete(devId);
+        const startedAt = Date.now();
+        return queueCommand(devId, device, handler, { action: stopAction })
+            .then(result => describeResult(device, result, startedAt));
     });
+    return Promise.all(promises);
+}
+
+setInterval(() => {
+    const now = Date.now();
+    const expired = [];
+    deviceMotion.forEach((motion, devId) => {
+        if (motion.deadline > now) return;
+        console.log(`[Deadman] Timeout for ${motion.device.name || motion.device.ip} -> Force ${motion.stopAction}`);
+        expired.push(devId);
+    });
+    if (expired.length > 0) stopMotion(expired);
+}, DEADMAN_INTERVAL);
+
+// Handler errors meaning the device did not answer at all
+const UNREACHABLE_PATTERN = /timeout|ECONNREFUSED|EHOSTUNREACH|ENETUNREACH|ETIMEDOUT|ECONNRESET|No reply|closed/i;
 
-    await Promise.all(promises);
+/**
+ * Attach target, latency and unreachable flag to a handler result
+ */
+function describeResult(device, result, startedAt) {
+    const described = { target: device.id, ...result, latency: Date.now() - startedAt };
+    if (result && result.success === false && UNREACHABLE_PATTERN.test(result.error || '')) {
+        described.unreachable = true;
+    }
+    return described;
+}
+
+/**
+ * Build handler params from command
+ */
+function buildParams(cmd) {
+    const speed = PRESET_ACTIONS.includes(cmd.action) ? cmd.speed : (cmd.speed || 50);
+    return { speed, vector: cmd.vector, position: cmd.position, value: cmd.value };
+}
+
+/**
+ * Continuous motion kind of a command (its stop action; joystick vectors,
+ * including the zero vector, count as 'STOP'), null for anything else
+ */
+function motionKind(cmd) {
+    return cmd.action === 'PTZ_VECTOR' ? 'STOP' : motionStopAction(cmd);
+}
+
+/**
+ * Whether a waiting command may be replaced by a newer one:
+ * only continuous motion, where the latest direction / speed is all that matters
+ */
+function isConflatable(pending, cmd) {
+    const kind = motionKind(pending.cmd);
+    return Boolean(kind) && kind === motionKind(cmd);
 }
 
 /**
  * Queue command execution for a device (Mutex + Conflation)
+ * Continuous motion replaces a waiting motion command; queries, absolute
+ * moves and preset commands always run in order.
  */
 function queueCommand(devId, device, handler, cmd) {
     return new Promise((resolve, reject) => {
-        // If device is busy, update PENDING command (overwrite previous pending)
         if (deviceBusy[devId]) {
+            const queue = devicePending[devId] || (devicePending[devId] = []);
+
             // PRIORITY BYPASS: If command is STOP, do NOT wait.
             // Fire immediately in parallel to kill movement ASAP.
             if (cmd.action === 'STOP') {
                 console.log(`[PTZ] Priority STOP for ${devId} (Bypassing Queue)`);
-                // Attempt to execute immediately (ignoring busy flag lock)
-                // This might cause 2 requests at once, but better than runaway.
-                // We also clear any pending move commands to prevent re-starting.
-                if (devicePending[devId]) {
-                    delete devicePending[devId];
-                }
+                // Waiting moves must not re-start the camera; other commands stay queued
+                devicePending[devId] = queue.filter(entry => {
+                    const moving = Boolean(motionKind(entry.cmd)) || MOVING_ACTIONS.includes(entry.cmd.action);
+                    if (moving) entry.resolve({ success: false, error: 'Cancelled by STOP' });
+                    return !moving;
+                });
                 // Don't set busy=true here to avoid messing up the existing lock's cleanup.
                 // Just fire handler.
-                handler.sendCommand(device, cmd.action, { speed: cmd.speed || 50, vector: cmd.vector })
+                handler.sendCommand(device, cmd.action, buildParams(cmd))
                     .then(res => resolve(res))
                     .catch(err => resolve({ success: false, error: err.message }));
                 return;
             }
 
-            // Conflation: We only care about the latest command.
-            // If there was a pending command, we drop it (it's now obsolete).
-            if (devicePending[devId]) {
-                // Optional: reject previous pending? Or just silently drop?
-                // Silently drop is better for PTZ smoothness.
-                // console.log(`[PTZ] Dropped stale command for ${devId}`);
+            // Conflation: a newer motion command makes the waiting one obsolete
+            const last = queue[queue.length - 1];
+            if (last && isConflatable(last, cmd)) {
+                last.resolve({ success: true, skipped: true });
+                queue.pop();
             }
-            devicePending[devId] = { cmd, device, handler, resolve, reject };
+            queue.push({ cmd, device, handler, resolve, reject });
             return;
         }
 
@@ -128,16 +225,20 @@ async function executeCommand(devId, device, handler, cmd, resolve, reject) {
     // console.log(`[PTZ] Sending ${cmd.action} to ${devId}`);
 
     try {
-        // Pass object with speed and vector
-        const result = await handler.sendCommand(device, cmd.action, { speed: cmd.speed || 50, vector: cmd.vector });
+        // Pass object with speed, vector and absolute position
+        const result = await handler.sendCommand(device, cmd.action, buildParams(cmd));
+        if (result && result.success === false) {
+            console.error(`[PTZ] ${cmd.action} failed on ${devId}: ${result.error}`);
+        }
         resolve(result);
     } catch (error) {
         console.error(`[PTZ] Error sending to ${devId}:`, error);
         resolve({ success: false, error: error.message }); // Don't reject promise chain
     } finally {
         // Command finished. Check pending.
-        const next = devicePending[devId];
-        delete devicePending[devId];
+        const queue = devicePending[devId];
+        const next = queue && queue.shift();
+        if (queue && queue.length === 0) delete devicePending[devId];
 
         if (next) {
             // Run next pending command immediately
@@ -149,27 +250,41 @@ async function executeCommand(devId, device, handler, cmd, resolve, reject) {
     }
 }
 
-// (Removed global resetWatchdog and stopAllCameras as they are replaced by per-device logic)
+/**
+ * Hosts to check for protocols without discovery of their own (VISCA, NDI):
+ * every host answering SSDP, plus the local subnets when sweeping
+ */
+async function candidateHosts(options) {
+    const hosts = new Set((await searchSsdp()).map(host => host.ip));
+    if (options.sweep) subnetHosts().forEach(ip => hosts.add(ip));
+    return Array.from(hosts);
+}
 
 /**
  * Discover all devices across all protocols
+ * @param {Object} options - { sweep } also check every host of the local subnets
  * @returns {Promise<Array>} Array of discovered devices
  */
-async function discoverAll() {
-    console.log('[PTZ] Starting multi-protocol discovery...');
+async function discoverAll(options = {}) {
+    console.log(`[PTZ] Starting multi-protocol discovery${options.sweep ? ' (with subnet sweep)' : ''}...`);
 
+    const hosts = candidateHosts(options);
     const results = await Promise.allSettled([
         panasonic.discover(),
         onvif.discover(),
-        visca.discover(),
-        ndi.discover()
+        hosts.then(list => ndi.discover(list)),
+        hosts.then(list => visca.discover(list))
     ]);
 
     const allDevices = [];
+    const announced = new Set(); // IPs found by Panasonic / ONVIF discovery
 
     results.forEach((result, index) => {
         if (result.status === 'fulfilled') {
-            allDevices.push(...result.value);
+            // Host checks (NDI, then VISCA) skip cameras already found by another protocol
+            const devices = index < 2 ? result.value : result.value.filter(device => !announced.has(device.ip));
+            devices.forEach(device => announced.add(device.ip));
+            allDevices.push(...devices);
         } else {
             console.error(`[PTZ] Discovery error for protocol ${index}:`, result.reason);
         }
@@ -179,6 +294,96 @@ async function discoverAll() {
     return allDevices;
 }
 
+/**
+ * Read a device's identity and hardware IDs over its protocol
+ * @returns {Promise<Object>} { vendor, model, firmware, serial, mac } - what the protocol reports
+ */
+async function identifyDevice(device) {
+    const handler = protocols[device.protocol || 'panasonic'];
+    if (!handler || !handler.identify) return {};
+
+    try {
+        return await handler.identify(device);
+    } catch (e) {
+        console.log(`[PTZ] Identify failed for ${device.ip || device.serialPath}: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Check that a device answers, using its protocol's cheapest query
+ * @returns {Promise<Object>} { online, latency, error, ...probe fields (e.g. power) }
+ */
+async function probeDevice(device) {
+    const handler = protocols[device.protocol || 'panasonic'];
+    if (!handler || !handler.probe) return { online: false, latency: null, error: `Unsupported protocol: ${device.protocol}` };
+
+    const startedAt = Date.now();
+    try {
+        const info = await handler.probe(device);
+        return { online: true, latency: Date.now() - startedAt, error: null, ...info };
+    } catch (error) {
+        return { online: false, latency: null, error: error.message };
+    }
+}
+
+// Capability defaults; protocol modules override what they know.
+// Ranges are in the normalized units used by GOTO_ABSOLUTE / GET_POSITION.
+const DEFAULT_CAPABILITIES = {
+    panTilt: true,
+    zoom: true,
+    ranges: {
+        pan: { min: -1, max: 1 },
+        tilt: { min: -1, max: 1 },
+        zoom: { min: 0, max: 1 }
+    },
+    presets: { count: 10, min: 1, max: 10 },
+    absolutePosition: false,
+    tally: false,
+    power: false,
+    imaging: []
+};
+
+/**
+ * Merge protocol capabilities over defaults and derive imaging flags
+ */
+function buildCapabilities(device, detected = {}) {
+    const handler = protocols[device.protocol || 'panasonic'] || {};
+    const caps = {
+        ...DEFAULT_CAPABILITIES,
+        imaging: handler.imagingActions || [],
+        ...(handler.capabilities || {}),
+        ...detected,
+        protocol: device.protocol || 'panasonic'
+    };
+
+    caps.focus = caps.imaging.some(a => a.startsWith('FOCUS_'));
+    caps.iris = caps.imaging.some(a => a.startsWith('IRIS_'));
+    caps.exposure = caps.imaging.some(a => a.startsWith('GAIN_') || a.startsWith('SHUTTER_'));
+    caps.whiteBalance = caps.imaging.some(a => a.startsWith('WB_'));
+    return caps;
+}
+
+/**
+ * Get capabilities known without contacting the device
+ * @returns {Object} Capability descriptor
+ */
+function getStaticCapabilities(device) {
+    return { ...buildCapabilities(device), detectedAt: null };
+}
+
+/**
+ * Query the device for its capabilities
+ * @returns {Promise<Object>} Capability descriptor (throws if the device is unreachable)
+ */
+async function detectCapabilities(device) {
+    const handler = protocols[device.protocol || 'panasonic'];
+    if (!handler || !handler.getCapabilities) return getStaticCapabilities(device);
+
+    const detected = await handler.getCapabilities(device);
+    return { ...buildCapabilities(device, detected), detectedAt: Date.now() };
+}
+
 /**
  * Get supported protocols
  */
@@ -188,6 +393,11 @@ function getSupportedProtocols() {
 
 module.exports = {
     sendPtzCommand,
+    stopMotion,
     discoverAll,
-    getSupportedProtocols
+    getSupportedProtocols,
+    getStaticCapabilities,
+    detectCapabilities,
+    identifyDevice,
+    probeDevice
 };
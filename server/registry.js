@@ -0,0 +1,111 @@
+/**
+ * Persistent Device Registry
+ * Stores the device list on disk so cameras, credentials and names survive restarts,
+ * together with the ignore list (removed cameras discovery must not re-add)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./storage');
+
+const REGISTRY_FILE = 'devices.json';
+const SCHEMA_VERSION = 2;
+
+// Migrations keyed by the version they upgrade FROM
+const MIGRATIONS = {
+    // v0: unversioned file holding the bare devices map
+    0: (data) => ({ schemaVersion: 1, devices: data || {} }),
+    // v1: no ignore list
+    1: (data) => ({ ...data, schemaVersion: 2, ignored: {} })
+};
+
+let registryPath = null;
+
+/**
+ * Load registry from disk (migrating older schemas)
+ * Saves stay disabled until the file was read, so a registry this version
+ * cannot load is never overwritten: a newer schema is left untouched, an
+ * unreadable one is moved aside (as readJson does with corrupt JSON).
+ * @param {string} dataDir - Directory holding the registry file
+ * @returns {Object} { devices, ignored } keyed by device ID
+ */
+function loadRegistry(dataDir) {
+    const filePath = path.join(dataDir, REGISTRY_FILE);
+    registryPath = null;
+
+    let data = readJson(filePath, null);
+    if (!data) {
+        registryPath = filePath;
+        console.log(`[Registry] No registry at ${filePath}, starting empty`);
+        return { devices: {}, ignored: {} };
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Registry schema v${fromVersion} is newer than supported v${SCHEMA_VERSION}, device changes will not be saved`);
+    }
+
+    try {
+        data = migrate(data, fromVersion);
+        if (!isMap(data.devices) || !isMap(data.ignored)) throw new Error('devices / ignored are not objects');
+    } catch (e) {
+        const unreadablePath = `${filePath}.unreadable-${Date.now()}`;
+        fs.renameSync(filePath, unreadablePath);
+        registryPath = filePath;
+        console.error(`[Registry] Cannot read registry v${fromVersion} (${e.message}), moved to ${unreadablePath}`);
+        return { devices: {}, ignored: {} };
+    }
+
+    registryPath = filePath;
+    if (fromVersion !== SCHEMA_VERSION) {
+        console.log(`[Registry] Migrated registry v${fromVersion} -> v${SCHEMA_VERSION}`);
+        writeJsonAtomic(registryPath, data);
+    }
+
+    console.log(`[Registry] Loaded ${Object.keys(data.devices).length} devices (${Object.keys(data.ignored).length} ignored)`);
+    return { devices: data.devices, ignored: data.ignored };
+}
+
+function isMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply migrations step by step up to the current schema
+ */
+function migrate(data, fromVersion) {
+    let version = fromVersion;
+    let current = data;
+
+    while (version < SCHEMA_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.schemaVersion;
+    }
+    return current;
+}
+
+/**
+ * Persist devices to disk
+ * @param {Object} devices - Devices keyed by ID
+ * @param {Object} ignored - Ignored devices keyed by ID
+ */
+function saveRegistry(devices, ignored = {}) {
+    if (!registryPath) return; // Registry not initialized or not loadable (see loadRegistry)
+
+    try {
+        writeJsonAtomic(registryPath, {
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: Date.now(),
+            devices,
+            ignored
+        });
+    } catch (e) {
+        console.error('[Registry] Save failed:', e.message);
+    }
+}
+
+module.exports = {
+    loadRegistry,
+    saveRegistry,
+    SCHEMA_VERSION
+};
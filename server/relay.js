@@ -0,0 +1,137 @@
+/**
+ * Relay Transport Router
+ * Remote clients reach the controller through a relay (Firebase or an MQTT
+ * broker). Adapters in ./transports share one interface:
+ *   isConfigured(options), validateOptions(options),
+ *   connect(room, callbacks, options), disconnect(), answerLogin, updateSession,
+ *   endSession, writeResult, publishLeases, syncDevices
+ * The selected transport and its options are kept in relay.json. Without
+ * usable settings the controller runs local-only (LAN control).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./storage');
+
+// Transport Adapters
+const firebase = require('./transports/firebase');
+const mqtt = require('./transports/mqtt');
+
+const transports = {
+    firebase,
+    mqtt
+};
+
+const CONFIG_FILE = 'relay.json';
+const DEFAULT_CONFIG = {
+    transport: 'firebase',
+    firebase: { credentialsPath: '', databaseURL: '' },
+    mqtt: { url: 'mqtt://localhost:1883', username: '', password: '', topicPrefix: 'ptzcntrl' }
+};
+
+// Builds before relay.json shipped the key next to main.js with this database
+const LEGACY_KEY_FILE = path.join(__dirname, 'serviceAccountKey.json');
+const LEGACY_DATABASE_URL = 'https://ptzcntrl-default-rtdb.asia-southeast1.firebasedatabase.app/';
+
+let configPath = null;
+let config = DEFAULT_CONFIG;
+
+/**
+ * Load relay settings
+ * @param {string} dataDir - Directory holding relay.json
+ */
+function initRelay(dataDir) {
+    configPath = path.join(dataDir, CONFIG_FILE);
+    const saved = readJson(configPath, {});
+    config = { ...DEFAULT_CONFIG, ...saved };
+    Object.keys(transports).forEach(name => {
+        config[name] = { ...DEFAULT_CONFIG[name], ...(saved[name] || {}) };
+    });
+    if (!transports[config.transport]) {
+        console.warn(`[Relay] Unknown transport ${config.transport}, using firebase`);
+        config.transport = 'firebase';
+    }
+
+    // One-time migration of a bundled key
+    if (!firebase.isConfigured(config.firebase) && fs.existsSync(LEGACY_KEY_FILE)) {
+        config.firebase = { credentialsPath: LEGACY_KEY_FILE, databaseURL: LEGACY_DATABASE_URL };
+        writeJsonAtomic(configPath, config);
+        console.log(`[Relay] Using bundled Firebase key ${LEGACY_KEY_FILE}`);
+    }
+
+    const status = getRelayStatus();
+    console.log(`[Relay] Transport: ${config.transport}${status.ready ? '' : ` (local-only: ${status.reason})`}`);
+}
+
+/**
+ * Check the selected transport's settings
+ * @returns {Object} { ready: true } or { ready: false, reason }
+ */
+function getRelayStatus() {
+    const check = transports[config.transport].validateOptions(config[config.transport]);
+    return check.valid ? { ready: true } : { ready: false, reason: check.reason };
+}
+
+/**
+ * Get the selected transport adapter and its options
+ * @returns {Object} { adapter, options }
+ */
+function getRelay() {
+    return { adapter: transports[config.transport], options: config[config.transport] || {} };
+}
+
+/**
+ * Relay settings for the GUI (passwords are not sent back)
+ */
+function getRelayConfig() {
+    return {
+        transport: config.transport,
+        transports: Object.keys(transports),
+        ...getRelayStatus(),
+        firebase: { ...config.firebase },
+        mqtt: { ...config.mqtt, password: '', hasPassword: Boolean(config.mqtt.password) }
+    };
+}
+
+/**
+ * Change relay settings (applies on the next room start)
+ * Entered settings are validated before they are stored; clearing the
+ * Firebase settings is allowed (local-only mode).
+ * @param {Object} update - { transport, firebase: { credentialsPath, databaseURL },
+ *   mqtt: { url, username, password, topicPrefix } } - an empty MQTT password keeps the stored one
+ * @returns {Object} Settings as getRelayConfig
+ */
+function setRelayConfig(update) {
+    if (update.transport !== undefined && !transports[update.transport]) {
+        throw new Error(`Unknown transport: ${update.transport}`);
+    }
+
+    const next = { ...config, transport: update.transport || config.transport };
+    Object.keys(transports).forEach(name => {
+        if (!update[name]) return;
+
+        const section = {};
+        Object.keys(DEFAULT_CONFIG[name]).forEach(field => {
+            const value = update[name][field];
+            if (typeof value === 'string') section[field] = field === 'password' ? value : value.trim();
+        });
+        if (name === 'mqtt' && !section.password) delete section.password;
+        next[name] = { ...config[name], ...section };
+
+        const adapter = transports[name];
+        const check = adapter.isConfigured(next[name]) ? adapter.validateOptions(next[name]) : { valid: true };
+        if (!check.valid) throw new Error(check.reason);
+    });
+
+    config = next;
+    writeJsonAtomic(configPath, config);
+    return getRelayConfig();
+}
+
+module.exports = {
+    initRelay,
+    getRelay,
+    getRelayConfig,
+    getRelayStatus,
+    setRelayConfig
+};
@@ -1,33 +1,384 @@
+const crypto = require('crypto');
+const { isValidPresetNumber } = require('./presets');
+
+// Camera control (operator and admin)
 const ALLOWED_ACTIONS = [
     'PAN_LEFT', 'PAN_RIGHT',
     'TILT_UP', 'TILT_DOWN',
     'STOP',
-    'ZOOM_IN', 'ZOOM_OUT',
-    'PRESET_CALL'
+    'ZOOM_IN', 'ZOOM_OUT', 'ZOOM_STOP',
+    'PTZ_VECTOR',
+    'PRESET_CALL',
+    // Imaging (support varies per protocol, see imagingActions)
+    'FOCUS_NEAR', 'FOCUS_FAR', 'FOCUS_STOP',
+    'FOCUS_AUTO', 'FOCUS_MANUAL', 'FOCUS_ONE_PUSH',
+    'IRIS_OPEN', 'IRIS_CLOSE', 'IRIS_AUTO', 'IRIS_MANUAL',
+    'GAIN_UP', 'GAIN_DOWN',
+    'SHUTTER_UP', 'SHUTTER_DOWN',
+    'WB_MODE', 'WB_ONE_PUSH',
+    'RELEASE_CONTROL'
+];
+
+// Changing presets, devices and users (admin only)
+const ADMIN_ACTIONS = [
+    'PRESET_SET', 'PRESET_RENAME', 'PRESET_DELETE',
+    'RENAME',
+    'KICK', 'SET_ACCESS',
+    'TAKE_CONTROL'
 ];
 
-function verifyCommand(cmd, localPass) {
-    if (!cmd || !cmd.password) return false;
-    return cmd.password === localPass;
+// Ending one's own session (every role)
+const SESSION_ACTIONS = ['LOGOUT'];
+
+// Roles, lowest first: viewer watches status only
+const ROLES = ['viewer', 'operator', 'admin'];
+const ROLE_ACTIONS = {
+    viewer: SESSION_ACTIONS,
+    operator: [...ALLOWED_ACTIONS, ...SESSION_ACTIONS],
+    admin: [...ALLOWED_ACTIONS, ...ADMIN_ACTIONS, ...SESSION_ACTIONS]
+};
+
+const MAX_NAME_LENGTH = 32;
+
+// White balance modes accepted by WB_MODE
+const WB_MODES = ['auto', 'atw', 'indoor', 'outdoor', 'onepush', 'manual'];
+
+// --- Command Schemas ---
+// target: 'camera' = device ID or ALL, 'device' = one device ID, 'session' = no camera
+// Fields not listed are dropped. Preset numbers travel in `speed` (handler convention).
+const MOVE = { target: 'camera', optional: ['speed'] };
+const TRIGGER = { target: 'camera' };
+const ACTION_SCHEMAS = {
+    PAN_LEFT: MOVE,
+    PAN_RIGHT: MOVE,
+    TILT_UP: MOVE,
+    TILT_DOWN: MOVE,
+    STOP: TRIGGER,
+    ZOOM_IN: MOVE,
+    ZOOM_OUT: MOVE,
+    ZOOM_STOP: TRIGGER,
+    PTZ_VECTOR: { target: 'camera', required: ['vector'], optional: ['speed'] },
+    PRESET_CALL: { target: 'camera', required: ['preset'] },
+    PRESET_SET: { target: 'camera', required: ['preset'], optional: ['name'] },
+    PRESET_RENAME: { target: 'device', required: ['preset', 'name'] },
+    PRESET_DELETE: { target: 'device', required: ['preset'] },
+    RENAME: { target: 'device', required: ['name'] },
+    KICK: { target: 'session', required: ['session'] },
+    // Firebase drops null/empty values, so a missing camera list means all cameras
+    SET_ACCESS: { target: 'session', required: ['session', 'role'], optional: ['cameras'], defaults: { cameras: null } },
+    // Clients cannot remove their session node; the controller ends it
+    LOGOUT: { target: 'session' },
+    FOCUS_NEAR: MOVE,
+    FOCUS_FAR: MOVE,
+    FOCUS_STOP: TRIGGER,
+    FOCUS_AUTO: TRIGGER,
+    FOCUS_MANUAL: TRIGGER,
+    FOCUS_ONE_PUSH: TRIGGER,
+    IRIS_OPEN: TRIGGER,
+    IRIS_CLOSE: TRIGGER,
+    IRIS_AUTO: TRIGGER,
+    IRIS_MANUAL: TRIGGER,
+    GAIN_UP: TRIGGER,
+    GAIN_DOWN: TRIGGER,
+    SHUTTER_UP: TRIGGER,
+    SHUTTER_DOWN: TRIGGER,
+    WB_MODE: { target: 'camera', required: ['value'] },
+    WB_ONE_PUSH: TRIGGER,
+    // Control leases (see leases.js)
+    TAKE_CONTROL: TRIGGER,
+    RELEASE_CONTROL: TRIGGER
+};
+
+// Field validators: return the clean value or throw with the rejection reason
+// ctx = { targets: [device], session }
+const FIELD_VALIDATORS = {
+    speed: (cmd) => {
+        if (typeof cmd.speed !== 'number' || !Number.isFinite(cmd.speed) || cmd.speed < 0 || cmd.speed > 100) {
+            throw new Error('Speed must be 0-100');
+        }
+        return Math.round(cmd.speed);
+    },
+    preset: (cmd, ctx) => {
+        const number = cmd.speed;
+        if (!Number.isInteger(number)) throw new Error('Preset number must be an integer');
+        const outOfRange = ctx.targets.find(device => !isValidPresetNumber(device.capabilities, number));
+        if (outOfRange) throw new Error(`Preset ${number} out of range for ${outOfRange.name || outOfRange.id}`);
+        return number;
+    },
+    vector: (cmd) => {
+        const v = cmd.vector;
+        const inRange = (n) => typeof n === 'number' && Number.isFinite(n) && n >= -1 && n <= 1;
+        if (!v || typeof v !== 'object' || !inRange(v.x) || !inRange(v.y)) {
+            throw new Error('Vector x/y must be -1..1');
+        }
+        return { x: v.x, y: v.y };
+    },
+    value: (cmd) => {
+        if (!WB_MODES.includes(cmd.value)) throw new Error('Unknown white balance mode');
+        return cmd.value;
+    },
+    name: (cmd) => {
+        const name = typeof cmd.name === 'string' ? cmd.name.trim() : '';
+        if (!name) throw new Error('Missing name');
+        if (name.length > MAX_NAME_LENGTH) throw new Error(`Name longer than ${MAX_NAME_LENGTH} characters`);
+        return name;
+    },
+    session: (cmd) => {
+        if (typeof cmd.session !== 'string' || !cmd.session) throw new Error('Missing session');
+        return cmd.session;
+    },
+    role: (cmd) => {
+        if (!ROLES.includes(cmd.role)) throw new Error('Unknown role');
+        return cmd.role;
+    },
+    cameras: (cmd) => {
+        if (cmd.cameras === null) return null;
+        if (!Array.isArray(cmd.cameras) || !cmd.cameras.every(c => typeof c === 'string')) {
+            throw new Error('Cameras must be a list of device IDs');
+        }
+        return cmd.cameras;
+    }
+};
+
+// Where validated fields land in the clean command
+const FIELD_TARGETS = { preset: 'speed' };
+
+// --- Replay Protection ---
+const REPLAY_WINDOW = 30 * 1000; // Accept commands stamped within +-30s
+const MIN_NONCE_LENGTH = 8;
+// nonce -> time it can be forgotten (older commands fail the timestamp check)
+const seenNonces = new Map();
+
+// --- Session Tokens ---
+// token = base64url(JSON claims) + '.' + base64url(HMAC-SHA256(claims part))
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const MIN_LOGIN_KEY_LENGTH = 16;
+
+// Signing key lives in memory only; rotating it invalidates every issued token
+let signingKey = crypto.randomBytes(32);
+// sid -> token expiry (kept until the token would have expired anyway)
+const revokedSessions = new Map();
+
+/**
+ * Replace the signing key (room start/stop): all earlier tokens become invalid
+ */
+function rotateSigningKey() {
+    signingKey = crypto.randomBytes(32);
+    revokedSessions.clear();
 }
 
-function sanitizeCommand(cmd) {
-    if (!cmd || typeof cmd !== 'object') return null;
+function sign(data) {
+    return crypto.createHmac('sha256', signingKey).update(data).digest('base64url');
+}
+
+/**
+ * Mint a session token
+ * @param {Object} claims - { sid, room, user }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueToken(claims, ttl = SESSION_TTL) {
+    const now = Date.now();
+    const payload = { ...claims, iat: now, exp: now + ttl };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${body}.${sign(body)}`, expiresAt: payload.exp };
+}
+
+/**
+ * Revoke a session; its token is rejected from now on
+ */
+function revokeSession(sid, expiresAt = Date.now() + SESSION_TTL) {
+    revokedSessions.set(sid, expiresAt);
+}
+
+/**
+ * Check token signature, expiry and revocation
+ * @returns {Object} { valid: true, claims } or { valid: false, reason }
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return { valid: false, reason: 'Missing token' };
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return { valid: false, reason: 'Malformed token' };
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'Bad signature' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+        return { valid: false, reason: 'Malformed token' };
+    }
+
+    const now = Date.now();
+    revokedSessions.forEach((exp, sid) => {
+        if (exp < now) revokedSessions.delete(sid);
+    });
+
+    if (!claims.exp || claims.exp < now) return { valid: false, reason: 'Token expired' };
+    if (revokedSessions.has(claims.sid)) return { valid: false, reason: 'Session revoked' };
+    return { valid: true, claims };
+}
+
+/**
+ * Encrypt a token for the client that requested it
+ * The client sent a random loginKey over a write-only path; only it can decrypt.
+ * @returns {Object} { iv, data } base64 (data = AES-256-GCM ciphertext + tag, WebCrypto layout)
+ */
+function sealToken(token, loginKey) {
+    const key = crypto.createHash('sha256').update(loginKey).digest();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return { iv: iv.toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Compare passwords in constant time
+ * Both sides are hashed first so length differences do not leak either.
+ */
+function passwordMatches(candidate, secret) {
+    if (typeof candidate !== 'string' || typeof secret !== 'string' || !secret) return false;
+
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check that a login request carries a usable loginKey
+ */
+function isValidLoginKey(loginKey) {
+    return typeof loginKey === 'string' && loginKey.length >= MIN_LOGIN_KEY_LENGTH;
+}
+
+/**
+ * Reject stale or repeated commands (timestamp window + one-time nonce)
+ * @param {number} now - Current time on the same clock as cmd.timestamp
+ * @returns {Object} { valid: true } or { valid: false, reason }
+ */
+function checkReplay(cmd, now) {
+    if (typeof cmd.timestamp !== 'number') return { valid: false, reason: 'Missing timestamp' };
+    if (Math.abs(now - cmd.timestamp) > REPLAY_WINDOW) return { valid: false, reason: 'Stale command' };
+    if (typeof cmd.nonce !== 'string' || cmd.nonce.length < MIN_NONCE_LENGTH) {
+        return { valid: false, reason: 'Missing nonce' };
+    }
+
+    seenNonces.forEach((expiry, nonce) => {
+        if (expiry < now) seenNonces.delete(nonce);
+    });
+    if (seenNonces.has(cmd.nonce)) return { valid: false, reason: 'Replayed command' };
+
+    seenNonces.set(cmd.nonce, cmd.timestamp + REPLAY_WINDOW);
+    return { valid: true };
+}
+
+/**
+ * Verify command's session token and freshness
+ * @param {Object} cmd - Command with token, timestamp and nonce
+ * @param {string} room - Room the controller is serving
+ * @param {number} now - Current server time (ms)
+ * @returns {Object} { valid: true, claims } or { valid: false, reason }
+ */
+function verifyCommand(cmd, room, now = Date.now()) {
+    if (!cmd || typeof cmd !== 'object') return { valid: false, reason: 'Malformed command' };
+
+    const result = verifyToken(cmd.token);
+    if (!result.valid) return result;
+    if (result.claims.room !== room) return { valid: false, reason: 'Token for another room' };
+
+    const replay = checkReplay(cmd, now);
+    if (!replay.valid) return replay;
+    return result;
+}
+
+/**
+ * Validate a command against its action schema, the session's role and
+ * camera scope, and the targeted devices
+ * @param {Object} cmd - Raw command from the client
+ * @param {Object} session - { role, cameras } (cameras: null = all)
+ * @param {Object} devices - Device registry
+ * @returns {Object} { valid: true, command } or { valid: false, reason }
+ */
+function sanitizeCommand(cmd, session, devices = {}) {
+    if (!cmd || typeof cmd !== 'object') return { valid: false, reason: 'Malformed command' };
 
     // Strict Structure Check
-    if (!cmd.action || typeof cmd.action !== 'string') return null;
+    if (!cmd.action || typeof cmd.action !== 'string') return { valid: false, reason: 'Missing action' };
+    const action = cmd.action.toUpperCase();
 
     // Allowlist Check
-    if (!ALLOWED_ACTIONS.includes(cmd.action.toUpperCase())) {
+    const schema = ACTION_SCHEMAS[action];
+    if (!schema) {
         console.warn(`Blocked invalid action: ${cmd.action}`);
-        return null;
+        return { valid: false, reason: `Unknown action ${cmd.action}` };
     }
 
-    return {
-        action: cmd.action.toUpperCase(),
-        speed: typeof cmd.speed === 'number' ? Math.max(0, Math.min(100, cmd.speed)) : 50,
-        target: typeof cmd.target === 'string' ? cmd.target : 'ALL'
-    };
+    // Role Check
+    const role = session && ROLES.includes(session.role) ? session.role : 'viewer';
+    if (!ROLE_ACTIONS[role].includes(action)) {
+        return { valid: false, reason: `${action} not allowed for ${role}` };
+    }
+
+    const clean = { action };
+    const ctx = { session, targets: [] };
+
+    // Target Check: device must exist and be within the session's cameras
+    if (schema.target !== 'session') {
+        const target = cmd.target === undefined ? 'ALL' : cmd.target;
+        const scope = session && Array.isArray(session.cameras) ? session.cameras : null;
+
+        if (target === 'ALL' && schema.target === 'camera') {
+            ctx.targets = Object.values(devices).filter(d => !scope || scope.includes(d.id));
+        } else if (typeof target === 'string' && devices[target]) {
+            if (scope && !scope.includes(target)) return { valid: false, reason: `No access to camera ${target}` };
+            ctx.targets = [devices[target]];
+        } else {
+            return { valid: false, reason: `Unknown target ${target}` };
+        }
+        clean.target = target;
+    }
+
+    // Field Checks
+    const required = schema.required || [];
+    const optional = schema.optional || [];
+    try {
+        [...required, ...optional].forEach(field => {
+            const source = FIELD_TARGETS[field] || field;
+            if (cmd[source] === undefined || cmd[source] === null) {
+                if (required.includes(field)) throw new Error(`Missing ${field}`);
+                return;
+            }
+            clean[source] = FIELD_VALIDATORS[field](cmd, ctx);
+        });
+    } catch (e) {
+        return { valid: false, reason: e.message };
+    }
+
+    return { valid: true, command: { ...schema.defaults, ...clean } };
+}
+
+/**
+ * Check whether an action drives cameras (needs a control lease)
+ */
+function isCameraAction(action) {
+    return Boolean(ACTION_SCHEMAS[action] && ACTION_SCHEMAS[action].target === 'camera');
 }
 
-module.exports = { verifyCommand, sanitizeCommand };
+module.exports = {
+    verifyCommand,
+    verifyToken,
+    sanitizeCommand,
+    isCameraAction,
+    issueToken,
+    sealToken,
+    revokeSession,
+    rotateSigningKey,
+    isValidLoginKey,
+    passwordMatches,
+    ROLES,
+    WB_MODES
+};
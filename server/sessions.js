@@ -0,0 +1,158 @@
+/**
+ * Remote Session Table
+ * Authoritative role and camera scope of each logged-in client.
+ * Copies written to Firebase are informational only; clients cannot change them.
+ */
+
+const DEFAULT_LIMITS = {
+    idleTimeout: 30 * 60 * 1000,      // No command for 30 minutes (0 = never)
+    maxLifetime: 12 * 60 * 60 * 1000, // Login valid for 12 hours
+    maxOperators: 0                   // Concurrent operator sessions (0 = unlimited)
+};
+
+// sid -> { id, user, role, cameras, transport, createdAt, lastActivity, expiresAt }
+const sessions = new Map();
+let limits = { ...DEFAULT_LIMITS };
+
+/**
+ * Change session limits; missing fields keep their value
+ * @param {Object} changes - { idleTimeout, maxLifetime, maxOperators } (ms / count)
+ */
+function setSessionLimits(changes) {
+    Object.keys(DEFAULT_LIMITS).forEach(key => {
+        const value = Number(changes[key]);
+        if (changes[key] !== undefined && Number.isFinite(value) && value >= 0) limits[key] = value;
+    });
+    if (limits.maxLifetime === 0) limits.maxLifetime = DEFAULT_LIMITS.maxLifetime; // Tokens always expire
+    return getSessionLimits();
+}
+
+/**
+ * Get current session limits
+ */
+function getSessionLimits() {
+    return { ...limits };
+}
+
+/**
+ * Register a session after a successful login
+ * @param {string} sid - Session ID (login request key)
+ * @param {Object} info - { user, role, cameras, transport } (cameras: null = all cameras,
+ *                        transport: 'relay' | 'lan')
+ */
+function createSession(sid, info) {
+    const now = Date.now();
+    const session = {
+        id: sid,
+        user: info.user || 'Anonymous',
+        role: info.role,
+        cameras: info.cameras || null,
+        transport: info.transport || 'relay',
+        createdAt: now,
+        lastActivity: now,
+        expiresAt: now + limits.maxLifetime
+    };
+    sessions.set(sid, session);
+    return session;
+}
+
+/**
+ * Get session by ID
+ */
+function getSession(sid) {
+    return sessions.get(sid) || null;
+}
+
+/**
+ * Note activity (accepted command) for the idle timeout
+ */
+function touchSession(sid) {
+    const session = sessions.get(sid);
+    if (session) session.lastActivity = Date.now();
+}
+
+/**
+ * Check whether another session may take a role
+ * Only operators are limited; admins can always log in to manage the room.
+ * @param {string} [exceptSid] - Session changing its own role
+ */
+function canTakeRole(role, exceptSid = null) {
+    if (role !== 'operator' || !limits.maxOperators) return true;
+
+    let count = 0;
+    sessions.forEach(session => {
+        if (session.role === 'operator' && session.id !== exceptSid) count++;
+    });
+    return count < limits.maxOperators;
+}
+
+/**
+ * Find sessions past the idle timeout or their maximum lifetime
+ * Viewers send no commands, so only the lifetime applies to them.
+ * @returns {Array} [{ session, reason }]
+ */
+function findExpiredSessions(now = Date.now()) {
+    const expired = [];
+    sessions.forEach(session => {
+        if (now >= session.expiresAt) {
+            expired.push({ session, reason: 'Session expired' });
+        } else if (limits.idleTimeout && session.role !== 'viewer' && now - session.lastActivity >= limits.idleTimeout) {
+            expired.push({ session, reason: 'Idle timeout' });
+        }
+    });
+    return expired;
+}
+
+/**
+ * Change role and/or camera scope of a session
+ * @param {Object} access - { role, cameras } (cameras: null or [] = all cameras)
+ * @returns {Object|null} Updated session, null if unknown
+ */
+function setAccess(sid, access) {
+    const session = sessions.get(sid);
+    if (!session) return null;
+
+    if (access.role) {
+        session.role = access.role;
+        session.lastActivity = Date.now(); // Idle time starts with the new role
+    }
+    if (access.cameras !== undefined) {
+        session.cameras = (access.cameras && access.cameras.length > 0) ? access.cameras : null;
+    }
+    return session;
+}
+
+/**
+ * Forget a session (logout, kick, room closed)
+ */
+function removeSession(sid) {
+    return sessions.delete(sid);
+}
+
+/**
+ * Forget all sessions
+ */
+function clearSessions() {
+    sessions.clear();
+}
+
+/**
+ * List sessions
+ */
+function listSessions() {
+    return Array.from(sessions.values());
+}
+
+module.exports = {
+    setSessionLimits,
+    getSessionLimits,
+    createSession,
+    getSession,
+    touchSession,
+    canTakeRole,
+    findExpiredSessions,
+    setAccess,
+    removeSession,
+    clearSessions,
+    listSessions
+};
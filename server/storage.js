@@ -0,0 +1,54 @@
+/**
+ * Local JSON Storage
+ * Small helpers for reading and atomically writing JSON files
+ * in the controller's data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - Absolute file path
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed content or fallback
+ */
+function readJson(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        // Keep the broken file for inspection instead of overwriting it later
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(filePath, corruptPath);
+        console.error(`[Storage] Corrupt JSON in ${filePath}, moved to ${corruptPath}`);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * A crash mid-write leaves either the old or the new file, never a partial one.
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Serializable content
+ */
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    readJson,
+    writeJsonAtomic
+};
@@ -0,0 +1,95 @@
+/**
+ * Joystick Streams
+ * A LAN client holding the joystick sends vector frames and heartbeats.
+ * The latest frame is replayed to its cameras every STREAM_RATE; when
+ * neither a frame nor a heartbeat arrives for STREAM_TIMEOUT the stream
+ * expires and main.js stops the cameras (deadman).
+ */
+
+const STREAM_RATE = 100;    // One handler call per camera every 100 ms
+const STREAM_TIMEOUT = 500; // Deadman: expire after 500 ms without frame or heartbeat
+
+// sid -> { sid, user, command, deviceIds, startedAt, lastSeen }
+const streams = new Map();
+
+/**
+ * Start or update a session's stream with a validated PTZ_VECTOR command
+ * @param {Object} session - { id, user }
+ * @param {Object} command - Clean command { action, target, vector, speed }
+ * @param {Array} deviceIds - Cameras the command reaches
+ * @returns {Object} { stream, started, released } (released: cameras no longer targeted)
+ */
+function updateStream(session, command, deviceIds, now = Date.now()) {
+    const previous = streams.get(session.id);
+    const released = previous ? previous.deviceIds.filter(id => !deviceIds.includes(id)) : [];
+
+    const stream = {
+        sid: session.id,
+        user: session.user,
+        command,
+        deviceIds,
+        startedAt: previous ? previous.startedAt : now,
+        lastSeen: now
+    };
+    streams.set(session.id, stream);
+    return { stream, started: !previous, released };
+}
+
+/**
+ * Keep a session's stream alive without changing its vector
+ * @returns {Object|null} Stream, null when the session is not streaming
+ */
+function heartbeatStream(sid, now = Date.now()) {
+    const stream = streams.get(sid);
+    if (stream) stream.lastSeen = now;
+    return stream || null;
+}
+
+/**
+ * End a session's stream
+ * @returns {Object|null} The ended stream
+ */
+function endStream(sid) {
+    const stream = streams.get(sid);
+    streams.delete(sid);
+    return stream || null;
+}
+
+/**
+ * Split streams into live ones (due for a handler call) and expired ones
+ * Expired streams are removed.
+ * @returns {Object} { live: [stream], expired: [stream] }
+ */
+function tickStreams(now = Date.now()) {
+    const live = [];
+    const expired = [];
+    streams.forEach((stream, sid) => {
+        if (now - stream.lastSeen >= STREAM_TIMEOUT) {
+            streams.delete(sid);
+            expired.push(stream);
+        } else {
+            live.push(stream);
+        }
+    });
+    return { live, expired };
+}
+
+/**
+ * End all streams (room stopped)
+ * @returns {Array} The ended streams
+ */
+function clearStreams() {
+    const ended = Array.from(streams.values());
+    streams.clear();
+    return ended;
+}
+
+module.exports = {
+    STREAM_RATE,
+    STREAM_TIMEOUT,
+    updateStream,
+    heartbeatStream,
+    endStream,
+    tickStreams,
+    clearStreams
+};
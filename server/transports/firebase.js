@@ -0,0 +1,267 @@
+/**
+ * Firebase Relay Transport
+ * Realtime Database under rooms/<room>/: request_login, sessions, commands,
+ * results, devices, leases. firebase-admin and the service account key
+ * (path and database URL from relay.json) are loaded on connect, so the
+ * app starts without them.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const ip = require('ip');
+
+const DATABASE_URL_PATTERN = /^https:\/\/[a-z0-9-]+(\.[a-z0-9-]+)?\.(firebaseio\.com|firebasedatabase\.app)\/?$/;
+const RESULT_TTL = 60 * 1000; // Command results are removed after a minute
+
+let admin = null;
+let db = null;
+let loadedSettings = null; // Key path + database URL the app was initialized with
+let roomRef = null;
+let handlers = {};
+let syncedDeviceIds = new Set(); // Device IDs written by syncDevices
+let serverTimeOffset = 0; // Firebase server clock - local clock (command timestamps are server time)
+
+/**
+ * Whether Firebase settings were entered at all (none = local-only mode)
+ */
+function isConfigured(options = {}) {
+    return Boolean(options.credentialsPath || options.databaseURL);
+}
+
+/**
+ * Check Firebase settings before use
+ * @param {Object} options - { credentialsPath, databaseURL }
+ * @returns {Object} { valid: true, projectId, clientEmail } or { valid: false, reason }
+ */
+function validateOptions(options = {}) {
+    if (!options.credentialsPath) return { valid: false, reason: 'No service account key configured' };
+    if (!DATABASE_URL_PATTERN.test(options.databaseURL || '')) {
+        return { valid: false, reason: 'Database URL must be https://<name>.firebaseio.com or https://<name>.<region>.firebasedatabase.app' };
+    }
+
+    let key;
+    try {
+        key = JSON.parse(fs.readFileSync(options.credentialsPath, 'utf8'));
+    } catch (e) {
+        return { valid: false, reason: `Cannot read service account key: ${e.message}` };
+    }
+    if (!key || key.type !== 'service_account' || !key.project_id || !key.private_key || !key.client_email) {
+        return { valid: false, reason: 'Not a Firebase service account key' };
+    }
+    try {
+        crypto.createPrivateKey(key.private_key);
+    } catch (e) {
+        return { valid: false, reason: 'Service account private key is unreadable' };
+    }
+    return { valid: true, projectId: key.project_id, clientEmail: key.client_email };
+}
+
+/**
+ * Initialize firebase-admin with the configured service account
+ * Re-initializes when the settings changed; throws when they are unusable.
+ */
+async function loadDatabase(options) {
+    const check = validateOptions(options);
+    if (!check.valid) throw new Error(check.reason);
+
+    const settings = `${options.credentialsPath}|${options.databaseURL}`;
+    if (db && loadedSettings === settings) return db;
+
+    admin = require('firebase-admin');
+    if (admin.apps.length > 0) await admin.app().delete();
+    admin.initializeApp({
+        credential: admin.credential.cert(JSON.parse(fs.readFileSync(options.credentialsPath, 'utf8'))),
+        databaseURL: options.databaseURL
+    });
+    db = admin.database();
+    loadedSettings = settings;
+    console.log(`[Firebase] Admin Initialized (${check.projectId})`);
+    return db;
+}
+
+/**
+ * Start serving a room
+ * @param {string} room - Room ID
+ * @param {Object} callbacks - Transport events:
+ *   onStatus(connected)
+ *   onLogin(requestId, { username, password, loginKey }, clientKey) - clientKey: Firebase auth uid
+ *     (the rules only accept requests carrying the writer's uid)
+ *   onUsers([{ id, username, timestamp }]) - authorized sessions
+ *   onSessionRemoved(sid, { authorized, expiresAt }) - client left or session ended
+ *   onCommand(commandId, cmdData, now) - now on the clock of cmdData.timestamp
+ * @param {Object} options - { credentialsPath, databaseURL }
+ */
+async function connect(room, callbacks, options = {}) {
+    if (roomRef) roomRef.off();
+    roomRef = null;
+    await loadDatabase(options);
+
+    handlers = callbacks;
+    roomRef = db.ref(`rooms/${room}`);
+    syncedDeviceIds = new Set();
+
+    // Entries left by an earlier run (e.g. after a crash) are removed on the next sync
+    roomRef.child('devices').once('value').then(snap => {
+        const existing = snap.val() || {};
+        Object.keys(existing).forEach(key => {
+            if (existing[key].type !== 'controller') syncedDeviceIds.add(key);
+        });
+    }).catch(err => console.error("[Firebase] Device read error:", err));
+
+    // 1. Register Presence
+    const deviceRef = roomRef.child('devices').push();
+    db.ref('.info/connected').on('value', (snap) => {
+        if (snap.val() === true) {
+            deviceRef.onDisconnect().remove();
+            deviceRef.set({
+                type: 'controller',
+                ip: ip.address(),
+                status: 'online',
+                timestamp: admin.database.ServerValue.TIMESTAMP
+            });
+        }
+        handlers.onStatus(snap.val() === true);
+    });
+
+    // Command timestamps come from the Firebase server clock
+    db.ref('.info/serverTimeOffset').on('value', (snap) => {
+        serverTimeOffset = snap.val() || 0;
+    });
+
+    // 2. Listen for Login Requests
+    roomRef.child('request_login').on('child_added', (snapshot) => {
+        const req = snapshot.val();
+        snapshot.ref.remove();
+        if (req) handlers.onLogin(snapshot.key, req, typeof req.uid === 'string' && req.uid ? `firebase:${req.uid}` : null);
+    });
+
+    // 2.5 Listen for Active Sessions (Sync Users)
+    roomRef.child('sessions').on('value', (snap) => {
+        const val = snap.val() || {};
+        handlers.onUsers(Object.keys(val)
+            .filter(key => val[key].authorized)
+            .map(key => ({ id: key, username: val[key].username || 'Anonymous', timestamp: val[key].timestamp })));
+    });
+
+    roomRef.child('sessions').on('child_removed', (snap) => {
+        const val = snap.val() || {};
+        handlers.onSessionRemoved(snap.key, { authorized: Boolean(val.authorized), expiresAt: val.expiresAt });
+    });
+
+    // 3. Listen for Commands (removed after processing, queue style)
+    roomRef.child('commands').on('child_added', (snapshot) => {
+        const cmdData = snapshot.val();
+        snapshot.ref.remove();
+        if (cmdData) handlers.onCommand(snapshot.key, cmdData, Date.now() + serverTimeOffset);
+    });
+}
+
+/**
+ * Stop serving the room and remove its data (clients see the room close)
+ */
+async function disconnect() {
+    if (!roomRef) return;
+
+    const ref = roomRef;
+    roomRef = null;
+    ref.off();
+    ref.child('request_login').off();
+    ref.child('sessions').off();
+    ref.child('commands').off();
+    db.ref('.info/connected').off();
+    db.ref('.info/serverTimeOffset').off();
+    await ref.remove();
+}
+
+/**
+ * Answer a login request (sessions/<requestId>)
+ * @param {Object} answer - { authorized, username, role, token, expiresAt } or { authorized: false, reason }
+ */
+function answerLogin(requestId, answer) {
+    if (!roomRef) return;
+    roomRef.child(`sessions/${requestId}`).set({
+        ...answer,
+        timestamp: admin.database.ServerValue.TIMESTAMP
+    }).catch(err => console.error("[Firebase] Login answer error:", err));
+}
+
+/**
+ * Publish role / camera changes to a session
+ */
+function updateSession(sid, fields) {
+    if (!roomRef) return;
+    roomRef.child(`sessions/${sid}`).update(fields)
+        .catch(err => console.error("[Firebase] Session update error:", err));
+}
+
+/**
+ * End a session: the reason is written first, then the session node is removed
+ */
+function endSession(sid, reason) {
+    if (!roomRef) return;
+    const sessionRef = roomRef.child(`sessions/${sid}`);
+    sessionRef.update({ ended: reason })
+        .then(() => sessionRef.remove())
+        .catch(err => console.error("[Firebase] Session end error:", err));
+}
+
+/**
+ * Write command state for the sender (results/<commandId>)
+ * Final states (anything but 'accepted') are removed after RESULT_TTL
+ */
+function writeResult(commandId, fields) {
+    if (!roomRef) return;
+
+    const resultRef = roomRef.child(`results/${commandId}`);
+    resultRef.update({
+        ...fields,
+        timestamp: admin.database.ServerValue.TIMESTAMP
+    }).catch(err => console.error("[Firebase] Result write error:", err));
+    if (fields.status !== 'accepted') {
+        setTimeout(() => resultRef.remove().catch(() => { }), RESULT_TTL);
+    }
+}
+
+/**
+ * Write lease holders (leases/<deviceId>)
+ * @param {Object} update - deviceId -> lease entry, null when free
+ */
+function publishLeases(update) {
+    if (!roomRef) return;
+    roomRef.child('leases').update(update).catch(err => {
+        console.error("[Firebase] Lease sync error:", err);
+    });
+}
+
+/**
+ * Replace the device list (devices/<deviceId>)
+ * Devices gone since the last sync are removed; the controller presence entry stays.
+ * @param {Object} entries - deviceId -> device entry
+ */
+function syncDevices(entries) {
+    if (!roomRef) return;
+
+    const update = { ...entries };
+    syncedDeviceIds.forEach(id => {
+        if (!entries[id]) update[id] = null;
+    });
+    syncedDeviceIds = new Set(Object.keys(entries));
+
+    roomRef.child('devices').update(update).catch(err => {
+        console.error("[Firebase] Sync Error:", err);
+    });
+}
+
+module.exports = {
+    isConfigured,
+    validateOptions,
+    connect,
+    disconnect,
+    answerLogin,
+    updateSession,
+    endSession,
+    writeResult,
+    publishLeases,
+    syncDevices,
+    transport: 'firebase'
+};
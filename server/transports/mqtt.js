@@ -0,0 +1,292 @@
+/**
+ * MQTT Relay Transport
+ * Room layout on a self-hosted broker. Every client only uses its own
+ * topics under clients/<clientId>, where clientId is its MQTT client ID:
+ *   <prefix>/<room>/clients/<clientId>/login                client -> controller (encrypted)
+ *   <prefix>/<room>/clients/<clientId>/commands/<commandId> client -> controller
+ *   <prefix>/<room>/clients/<clientId>/session              retained; emptied when the session ends
+ *   <prefix>/<room>/clients/<clientId>/results/<commandId>
+ *   <prefix>/<room>/clients/<clientId>/users                retained; admin sessions only
+ *   <prefix>/<room>/devices/<deviceId>                      retained
+ *   <prefix>/<room>/leases/<deviceId>                       retained
+ *   <prefix>/<room>/controller                              retained presence + login key (cleared by the will)
+ * The broker must enforce this with an ACL (see README): clients write only
+ * their own login / commands and read only their own topics plus devices,
+ * leases and controller; everything else is written by the controller alone.
+ * Login requests are encrypted for the controller (ECDH P-256 with the public
+ * key on the controller topic, then AES-256-GCM), so the room password never
+ * crosses the broker in plaintext. Payloads are JSON; an empty retained
+ * payload deletes the node. Command timestamps are the client's clock (no
+ * broker clock), so clients need a synced clock.
+ */
+
+const crypto = require('crypto');
+const ip = require('ip');
+
+const DEFAULT_OPTIONS = {
+    url: 'mqtt://localhost:1883',
+    username: '',
+    password: '',
+    topicPrefix: 'ptzcntrl'
+};
+
+// MQTT client IDs of web clients (also topic levels: no wildcards or separators)
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+let client = null;
+let base = null;
+let handlers = {};
+let loginKey = null;             // ECDH key pair login requests are encrypted for (new per room start)
+let sessions = new Map();        // clientId -> session node as published (token excluded)
+let userTopics = new Set();      // clients/<id>/users topics currently published
+let retainedTopics = new Set();  // Retained topics written by the controller (cleared on disconnect)
+let syncedDeviceIds = new Set(); // Device IDs written by syncDevices
+
+/**
+ * MQTT always has a broker URL (default: local broker)
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Check broker settings before use
+ * @returns {Object} { valid: true } or { valid: false, reason }
+ */
+function validateOptions(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    if (!/^(mqtts?|wss?):\/\/./.test(config.url)) {
+        return { valid: false, reason: 'Broker URL must start with mqtt://, mqtts://, ws:// or wss://' };
+    }
+    if (!/^[^#+\s]+$/.test(config.topicPrefix)) return { valid: false, reason: 'Topic prefix must not contain #, + or spaces' };
+    return { valid: true };
+}
+
+function publish(topic, value, retain = false) {
+    if (!client) return;
+
+    const payload = value === null ? '' : JSON.stringify(value);
+    if (retain) {
+        if (value === null) retainedTopics.delete(topic);
+        else retainedTopics.add(topic);
+    }
+    client.publish(topic, payload, { qos: 1, retain }, (err) => {
+        if (err) console.error(`[MQTT] Publish error (${topic}):`, err.message);
+    });
+}
+
+function parse(payload) {
+    if (payload.length === 0) return null;
+    try {
+        return JSON.parse(payload.toString());
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Decrypt a login request sealed for the controller key
+ * @param {Object} sealed - { key, iv, data } base64 (key: client's raw P-256 public key,
+ *   data: AES-256-GCM ciphertext + tag, key = SHA-256(ECDH secret))
+ * @returns {Object} { username, password, loginKey, clientId }
+ */
+function openLoginRequest(sealed) {
+    const secret = loginKey.computeSecret(Buffer.from(String(sealed.key), 'base64'));
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const data = Buffer.from(String(sealed.data), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(String(sealed.iv), 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+}
+
+/**
+ * Start serving a room
+ * @param {string} room - Room ID
+ * @param {Object} callbacks - Transport events (see transports/firebase.js);
+ *   onSessionRemoved is not used (clients cannot remove their session)
+ * @param {Object} options - { url, username, password, topicPrefix }
+ */
+async function connect(room, callbacks, options = {}) {
+    const check = validateOptions(options);
+    if (!check.valid) throw new Error(check.reason);
+
+    const mqtt = require('mqtt');
+    if (client) await disconnect();
+
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    handlers = callbacks;
+    base = `${config.topicPrefix}/${room}`;
+    loginKey = crypto.createECDH('prime256v1');
+    loginKey.generateKeys();
+    sessions = new Map();
+    userTopics = new Set();
+    retainedTopics = new Set();
+    syncedDeviceIds = new Set();
+
+    client = mqtt.connect(config.url, {
+        username: config.username || undefined,
+        password: config.password || undefined,
+        clientId: `ptzcntrl_controller_${crypto.randomBytes(4).toString('hex')}`,
+        will: { topic: `${base}/controller`, payload: '', qos: 1, retain: true }
+    });
+
+    client.on('connect', () => {
+        client.subscribe([`${base}/clients/+/login`, `${base}/clients/+/commands/+`], { qos: 1 }, (err) => {
+            if (err) console.error('[MQTT] Subscribe error:', err.message);
+        });
+        publish(`${base}/controller`, {
+            type: 'controller',
+            ip: ip.address(),
+            status: 'online',
+            loginKey: loginKey.getPublicKey('base64'),
+            timestamp: Date.now()
+        }, true);
+        console.log(`[MQTT] Connected to ${config.url}`);
+        handlers.onStatus(true);
+    });
+    client.on('close', () => handlers.onStatus(false));
+    client.on('error', (err) => console.error('[MQTT] Error:', err.message));
+    client.on('message', onMessage);
+}
+
+function onMessage(topic, payload, packet) {
+    const [node, clientId, kind, commandId] = topic.slice(base.length + 1).split('/');
+    const value = parse(payload);
+    if (node !== 'clients' || !CLIENT_ID_PATTERN.test(clientId || '')) return;
+    if (value === undefined) return console.warn(`[MQTT] Malformed message on ${topic}`);
+    // Retained requests are left over from an earlier run
+    if (!value || packet.retain) return;
+
+    if (kind === 'login') {
+        let request;
+        try {
+            request = openLoginRequest(value);
+        } catch (e) {
+            return console.warn(`[MQTT] Unreadable login request from ${clientId}`);
+        }
+        if (request.clientId !== clientId) return console.warn(`[MQTT] Login request for another client on ${topic}`);
+        // The broker ACL ties clients/<clientId> to the MQTT client ID: failed logins count against it
+        handlers.onLogin(clientId, { username: request.username, password: request.password, loginKey: request.loginKey }, `mqtt:${clientId}`);
+    } else if (kind === 'commands' && commandId) {
+        // The result goes back to the sender's topic (see writeResult)
+        handlers.onCommand(`${clientId}/${commandId}`, value, Date.now());
+    }
+}
+
+/**
+ * Report authorized sessions to the controller and to admin clients
+ */
+function publishUsers() {
+    const users = {};
+    sessions.forEach((session, sid) => {
+        users[sid] = session;
+    });
+
+    const adminTopics = new Set();
+    sessions.forEach((session, sid) => {
+        if (session.role !== 'admin') return;
+        const topic = `${base}/clients/${sid}/users`;
+        adminTopics.add(topic);
+        publish(topic, users, true);
+    });
+    userTopics.forEach(topic => {
+        if (!adminTopics.has(topic)) publish(topic, null, true);
+    });
+    userTopics = adminTopics;
+
+    handlers.onUsers(Array.from(sessions.entries()).map(([id, session]) => ({ id, username: session.username, timestamp: session.timestamp })));
+}
+
+/**
+ * Stop serving the room: clear retained topics (clients see the room close)
+ */
+async function disconnect() {
+    if (!client) return;
+
+    const closing = client;
+    retainedTopics.forEach(topic => closing.publish(topic, '', { qos: 1, retain: true }));
+    client = null;
+    sessions = new Map();
+    userTopics = new Set();
+    retainedTopics = new Set();
+    await new Promise(resolve => closing.end(false, {}, resolve));
+}
+
+/**
+ * Answer a login request (clients/<requestId>/session, retained when authorized)
+ */
+function answerLogin(requestId, answer) {
+    publish(`${base}/clients/${requestId}/session`, { ...answer, timestamp: Date.now() }, Boolean(answer.authorized));
+    if (!answer.authorized) return;
+
+    const { token, ...session } = answer;
+    sessions.set(requestId, { ...session, timestamp: Date.now() });
+    publishUsers();
+}
+
+/**
+ * Publish role / camera changes to a session
+ */
+function updateSession(sid, fields) {
+    const session = sessions.get(sid);
+    if (!session) return;
+
+    sessions.set(sid, { ...session, ...fields });
+    publish(`${base}/clients/${sid}/session`, sessions.get(sid), true);
+    publishUsers();
+}
+
+/**
+ * End a session: the reason is published first, then the topic is emptied
+ */
+function endSession(sid, reason) {
+    publish(`${base}/clients/${sid}/session`, { ended: reason }, false);
+    publish(`${base}/clients/${sid}/session`, null, true);
+    if (sessions.delete(sid)) publishUsers();
+}
+
+/**
+ * Send command state to the sender (clients/<clientId>/results/<commandId>)
+ * @param {string} commandId - '<clientId>/<commandId>' as passed to onCommand
+ */
+function writeResult(commandId, fields) {
+    const [clientId, id] = commandId.split('/');
+    publish(`${base}/clients/${clientId}/results/${id}`, { ...fields, timestamp: Date.now() });
+}
+
+/**
+ * Publish lease holders (leases/<deviceId>)
+ * @param {Object} update - deviceId -> lease entry, null when free
+ */
+function publishLeases(update) {
+    Object.keys(update).forEach(id => publish(`${base}/leases/${id}`, update[id], true));
+}
+
+/**
+ * Replace the device list (devices/<deviceId>); devices gone since the last sync are emptied
+ * @param {Object} entries - deviceId -> device entry
+ */
+function syncDevices(entries) {
+    if (!client) return;
+
+    syncedDeviceIds.forEach(id => {
+        if (!entries[id]) publish(`${base}/devices/${id}`, null, true);
+    });
+    Object.keys(entries).forEach(id => publish(`${base}/devices/${id}`, entries[id], true));
+    syncedDeviceIds = new Set(Object.keys(entries));
+}
+
+module.exports = {
+    isConfigured,
+    validateOptions,
+    connect,
+    disconnect,
+    answerLogin,
+    updateSession,
+    endSession,
+    writeResult,
+    publishLeases,
+    syncDevices,
+    transport: 'mqtt'
+};
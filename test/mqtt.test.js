@@ -0,0 +1,137 @@
+/**
+ * MQTT relay transport: sealed logins and the command / result path
+ * The broker is replaced by an in-memory client (no network).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { webcrypto } = require('crypto');
+
+// Fake broker client: records publishes, messages are injected with deliver()
+const published = [];
+let broker = null;
+require.cache[require.resolve('mqtt')] = {
+    id: 'mqtt',
+    loaded: true,
+    exports: {
+        connect: () => {
+            broker = new EventEmitter();
+            broker.subscribe = (topics, options, callback) => callback(null);
+            broker.publish = (topic, payload, options, callback) => {
+                published.push({ topic, payload: payload ? JSON.parse(payload) : null, retain: options.retain });
+                if (callback) callback(null);
+            };
+            broker.end = (force, options, callback) => callback();
+            return broker;
+        }
+    }
+};
+
+const mqtt = require('../server/transports/mqtt');
+const { issueToken, verifyCommand, sanitizeCommand } = require('../server/security');
+
+const ROOM = 'room1';
+const BASE = `ptzcntrl/${ROOM}`;
+const CLIENT_ID = 'web_0123456789abcdef01234567';
+
+function deliver(topic, value, retain = false) {
+    broker.emit('message', topic, Buffer.from(JSON.stringify(value)), { retain });
+}
+
+function lastPublished(topic) {
+    return published.filter(p => p.topic === topic).pop();
+}
+
+// Same sealing as the web client (hosting/public/index.html, sealForController)
+async function sealForController(controllerKey, request) {
+    const subtle = webcrypto.subtle;
+    const curve = { name: 'ECDH', namedCurve: 'P-256' };
+    const pair = await subtle.generateKey(curve, false, ['deriveBits']);
+    const controller = await subtle.importKey('raw', Buffer.from(controllerKey, 'base64'), curve, false, []);
+    const secret = await subtle.deriveBits({ name: 'ECDH', public: controller }, pair.privateKey, 256);
+    const keyBytes = await subtle.digest('SHA-256', secret);
+    const key = await subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt']);
+    const iv = webcrypto.getRandomValues(new Uint8Array(12));
+    const data = await subtle.encrypt({ name: 'AES-GCM', iv }, key, Buffer.from(JSON.stringify(request)));
+    return {
+        key: Buffer.from(await subtle.exportKey('raw', pair.publicKey)).toString('base64'),
+        iv: Buffer.from(iv).toString('base64'),
+        data: Buffer.from(data).toString('base64')
+    };
+}
+
+test('mqtt transport', async (t) => {
+    const logins = [];
+    const commands = [];
+    await mqtt.connect(ROOM, {
+        onStatus: () => { },
+        onLogin: (requestId, request, clientKey) => logins.push({ requestId, request, clientKey }),
+        onUsers: () => { },
+        onCommand: (commandId, cmdData, now) => commands.push({ commandId, cmdData, now })
+    }, { url: 'mqtt://broker.test' });
+    broker.emit('connect');
+    const controllerKey = lastPublished(`${BASE}/controller`).payload.loginKey;
+
+    await t.test('opens a sealed login request', async () => {
+        const request = { username: 'op', password: 'secret', loginKey: 'k'.repeat(44), clientId: CLIENT_ID };
+        deliver(`${BASE}/clients/${CLIENT_ID}/login`, await sealForController(controllerKey, request));
+
+        assert.strictEqual(logins.length, 1);
+        assert.deepStrictEqual(logins[0], {
+            requestId: CLIENT_ID,
+            request: { username: 'op', password: 'secret', loginKey: request.loginKey },
+            clientKey: `mqtt:${CLIENT_ID}`
+        });
+    });
+
+    await t.test('rejects a login request sealed for another client ID', async () => {
+        logins.length = 0;
+        const request = { username: 'op', password: 'secret', loginKey: 'k'.repeat(44), clientId: 'web_someoneelse0000' };
+        deliver(`${BASE}/clients/${CLIENT_ID}/login`, await sealForController(controllerKey, request));
+        assert.strictEqual(logins.length, 0);
+    });
+
+    await t.test('ignores tampered and retained login requests', async () => {
+        logins.length = 0;
+        const sealed = await sealForController(controllerKey, { username: 'op', password: 'x', loginKey: 'k', clientId: CLIENT_ID });
+        const data = Buffer.from(sealed.data, 'base64');
+        data[0] ^= 0xFF;
+        deliver(`${BASE}/clients/${CLIENT_ID}/login`, { ...sealed, data: data.toString('base64') });
+        deliver(`${BASE}/clients/${CLIENT_ID}/login`, sealed, true);
+        assert.strictEqual(logins.length, 0);
+    });
+
+    await t.test('routes a signed command and its result back to the sender', () => {
+        const { token } = issueToken({ sid: CLIENT_ID, room: ROOM, user: 'op' });
+        const command = { action: 'PAN_LEFT', target: 'cam1', speed: 40, token, nonce: 'n0nce0001', timestamp: Date.now() };
+        deliver(`${BASE}/clients/${CLIENT_ID}/commands/cmd1`, command);
+
+        assert.strictEqual(commands.length, 1);
+        const { commandId, cmdData, now } = commands[0];
+        assert.strictEqual(commandId, `${CLIENT_ID}/cmd1`);
+
+        // What main.js does with it: verify the token, then the schema
+        const auth = verifyCommand(cmdData, ROOM, now);
+        assert.strictEqual(auth.valid, true);
+        assert.strictEqual(auth.claims.sid, CLIENT_ID);
+        const check = sanitizeCommand(cmdData, { role: 'operator', cameras: null }, { cam1: { id: 'cam1' } });
+        assert.strictEqual(check.valid, true);
+        assert.deepStrictEqual(check.command, { action: 'PAN_LEFT', target: 'cam1', speed: 40 });
+        assert.strictEqual(verifyCommand(cmdData, ROOM, now).valid, false, 'replayed nonce');
+
+        mqtt.writeResult(commandId, { status: 'done', success: true });
+        const result = lastPublished(`${BASE}/clients/${CLIENT_ID}/results/cmd1`);
+        assert.strictEqual(result.payload.status, 'done');
+        assert.strictEqual(result.retain, false);
+    });
+
+    await t.test('ignores commands on malformed client topics', () => {
+        commands.length = 0;
+        deliver(`${BASE}/clients/bad/commands/cmd2`, { action: 'STOP' });
+        deliver(`${BASE}/clients/${CLIENT_ID}/commands/cmd3`, { action: 'STOP' }, true);
+        assert.strictEqual(commands.length, 0);
+    });
+
+    await mqtt.disconnect();
+});
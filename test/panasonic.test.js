@@ -0,0 +1,54 @@
+/**
+ * Panasonic Easy IP Setup search replies
+ * Replies are built in the expected layout (see protocols/panasonic.js);
+ * no captured reply is available, so these cover the matching rules only.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchReply } = require('../server/protocols/panasonic');
+
+const SENDER = '192.168.0.10';
+
+function buildReply(fields = {}) {
+    const reply = Buffer.alloc(fields.size || 160);
+    reply.writeUInt16BE(0x0001, 0);
+    reply.writeUInt16BE(fields.length !== undefined ? fields.length : reply.length, 2);
+    reply.writeUInt16BE(0x000e, 4);
+    Buffer.from(fields.mac || '8c:c1:21:01:02:03'.replace(/:/g, ''), 'hex').copy(reply, 6);
+    Buffer.from((fields.ip || SENDER).split('.').map(Number)).copy(reply, 12);
+    Buffer.from([255, 255, 255, 0]).copy(reply, 16);
+    Buffer.from([192, 168, 0, 1]).copy(reply, 20);
+    reply.writeUInt16BE(8080, 24);
+    reply[26] = 1;
+    reply.write('AW-UE150', 32, 'ascii');
+    reply.write('A1B2C3', 64, 'ascii');
+    reply.write('1.02', 96, 'ascii');
+    reply.write('Stage Left', 128, 'ascii');
+    return reply;
+}
+
+test('reads every field of a reply matching the layout', () => {
+    assert.deepStrictEqual(parseSearchReply(buildReply(), SENDER), {
+        ip: SENDER,
+        matched: true,
+        mac: '8cc121010203',
+        netmask: '255.255.255.0',
+        gateway: '192.168.0.1',
+        httpPort: 8080,
+        dhcp: true,
+        model: 'AW-UE150',
+        serial: 'A1B2C3',
+        firmware: '1.02',
+        title: 'Stage Left'
+    });
+});
+
+test('keeps the sender of a reply that does not match the layout', () => {
+    const unmatched = { ip: SENDER, matched: false };
+    assert.deepStrictEqual(parseSearchReply(Buffer.from('unexpected'), SENDER), unmatched);
+    assert.deepStrictEqual(parseSearchReply(buildReply({ length: 200 }), SENDER), unmatched, 'length field');
+    assert.deepStrictEqual(parseSearchReply(buildReply({ ip: '192.168.0.99' }), SENDER), unmatched, 'other IP');
+    assert.deepStrictEqual(parseSearchReply(buildReply({ mac: 'ffffffffffff' }), SENDER), unmatched, 'broadcast MAC');
+    assert.deepStrictEqual(parseSearchReply(buildReply({ mac: '000000000000' }), SENDER), unmatched, 'empty MAC');
+});